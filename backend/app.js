@@ -6,6 +6,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
+import { pipeline } from 'stream/promises';
 
 dotenv.config();
 
@@ -15,14 +16,17 @@ import {
   getS3Status, 
   listObjects, 
   ensureBucket, 
-  cleanupOldFiles 
+  cleanupOldFiles,
+  storage
 } from './config/s3.js';
 
 // Import models and database
 import { 
   initializeDatabase, 
   Frame, 
+  FrameAsset,
   InferenceResult, 
+  InferencePrediction,
   BlinkStat, 
   SensorReading, 
   Session,
@@ -32,14 +36,40 @@ import {
 
 // Import services
 import { WebSocketService } from './services/websocket.service.js';
-import { StorageService } from './services/storage.service.js';
+import { StorageService, FRAME_ASSET_KINDS } from './services/storage.service.js';
 import { InferenceService } from './services/inference.service.js';
+import { BlinkService } from './services/blink.service.js';
+import { TokenService } from './services/token.service.js';
+import { IngestLimiter } from './services/ingest-limiter.service.js';
+import { DeadLetterService } from './services/dead-letter.service.js';
+import { JobEventsService } from './services/job-events.service.js';
+import { FrameAnalysisService } from './services/frame-analysis.service.js';
+import { SessionPresence } from './services/session-presence.service.js';
+import { SensorService, SENSOR_CONFIG, subscriptionKey } from './services/sensor.service.js';
+import { FrameSampler, SAMPLING_CONFIG } from './services/frame-sampler.service.js';
+import { FRAME_FLAGS } from './services/frame.protocol.js';
 
 // Import queue configuration
-import { addInferenceJob, frameQueue, inferenceQueue } from './queues/queue.config.js';
+import { addFrameFlow, frameQueue, inferenceQueue, blinkQueue, analysisQueue, emailQueue, queues } from './queues/queue.config.js';
+
+// Import middleware
+import {
+  authenticate,
+  authenticateSensor,
+  authorize,
+  generateSensorToken,
+  getTokenExpiresIn
+} from './middleware/auth.middleware.js';
+import { 
+  canAccessSession,
+  requireSessionAccess, 
+  requireFrameAccess, 
+  scopeToUserSessions 
+} from './middleware/access.middleware.js';
 
 // Import routes
 import authRoutes from './routes/auth.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 
 // Load environment variables
 console.log(import.meta.url)
@@ -54,6 +84,8 @@ const server = createServer(app);
 const PORT = process.env.PORT || 8000;
 const WORKER_ID = process.env.pm_id || process.pid;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+// Run server-side blink detection for clients that don't opt in/out themselves
+const SERVER_BLINK_DETECTION = process.env.SERVER_BLINK_DETECTION === 'true';
 
 // CORS configuration
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS 
@@ -94,7 +126,8 @@ app.use((req, res, next) => {
 
 // Global state
 let wsService = null;
-const activeSessions = new Map(); // sessionId -> session data
+let jobEvents = null;
+// Live sessions (sockets, counters) are shared by all workers through SessionPresence
 
 // ==================== INITIALIZATION ====================
 
@@ -107,20 +140,20 @@ async function initializeServices() {
     await initializeDatabase();
     console.log('✓ Database connected and synced');
 
-    // 2. Initialize S3 Ninja
-    console.log('\n[2/5] Initializing S3 Ninja...');
+    // 2. Initialize frame storage
+    console.log('\n[2/5] Initializing frame storage...');
     try {
       await StorageService.initialize();
       const s3Status = await getS3Status();
-      console.log('✓ S3 Status:', s3Status.connected ? 'Connected' : 'Disconnected');
+      console.log(`✓ Storage (${s3Status.mode}) Status:`, s3Status.connected ? 'Connected' : 'Disconnected');
       if (s3Status.connected) {
         console.log('  Endpoint:', s3Status.endpoint);
         console.log('  Buckets:', s3Status.buckets.join(', ') || 'none');
       } else {
-        console.warn('⚠ S3 not connected, but continuing...');
+        console.warn('⚠ Storage not connected, but continuing...');
       }
     } catch (error) {
-      console.warn('⚠ S3 initialization warning:', error.message);
+      console.warn('⚠ Storage initialization warning:', error.message);
       console.warn('  App will continue, but file upload may fail');
     }
 
@@ -133,6 +166,8 @@ async function initializeServices() {
     console.log('\n[4/4] Initializing WebSocket Service...');
     wsService = new WebSocketService(server);
     setupWebSocketHandlers();
+    jobEvents = new JobEventsService();
+    jobEvents.start();
     console.log('✓ WebSocket Service ready');
 
     console.log('\n[Initialization] All services started successfully!\n');
@@ -147,45 +182,58 @@ async function initializeServices() {
 
 function setupWebSocketHandlers() {
   // Handle binary messages (video frames)
- wsService.on('binary_message', async ({ ws, clientInfo, data }) => {
+ wsService.on('binary_message', async ({ ws, clientInfo, frame }) => {
   try {
-    const text = data.toString();
-    const [header, encoded] = text.split(',');
-    
-    if (!encoded) {
-      wsService.sendError(ws, 'Invalid frame format');
-      return;
+    // Enforce ingest budgets before spending any work on the frame
+    const verdict = await IngestLimiter.admit(clientInfo, frame.buffer.length);
+    const notice = IngestLimiter.throttleNotice(clientInfo, verdict);
+    if (notice) {
+      wsService.sendToClient(ws, notice);
     }
+    if (!verdict.allowed) return;
 
-    const buffer = Buffer.from(encoded, 'base64');
-    const timestamp = Date.now();
-    const filename = `${timestamp}_${uuidv4().substring(0, 8)}.jpg`;
+    // Frames arrive decoded from either wire format (see services/frame.protocol.js)
+    const receivedAt = Date.now();
+    const timestamp = frame.capturedAt || receivedAt;
+    const filename = `${receivedAt}_${uuidv4().substring(0, 8)}.jpg`;
     
-    // Save to S3/MinIO and DB
-    const { frameId, s3Key, size } = await StorageService.saveFrame(
-      buffer, 
+    // Store the upload untouched; resizing, crops and sampling happen in the frame worker
+    const { frameId, size } = await StorageService.saveRawFrame(
+      frame.buffer, 
       filename, 
-      clientInfo.sessionId
+      clientInfo.sessionId,
+      { capturedAt: frame.capturedAt, codec: frame.codec }
     );
     
     // Update session frame count
     await updateSessionFrameCount(clientInfo.sessionId);
 
-    // Queue for inference processing
-    await addInferenceJob({ 
-      frameId, 
-      s3Key, 
-      sessionId: clientInfo.sessionId 
+    // Server-side blink detection for clients without MediaPipe
+    const serverBlinkDetection = clientInfo.metadata.serverBlinkDetection ?? SERVER_BLINK_DETECTION;
+
+    // frame-processing -> inference-processing (queue.config.js addFrameFlow)
+    const flow = await addFrameFlow({
+      frameId,
+      sessionId: clientInfo.sessionId,
+      timestamp,
+      flagged: Boolean(frame.flags & FRAME_FLAGS.KEEP),
+      inferenceIntervalMs: clientInfo.metadata.inferenceIntervalMs,
+      blinkDetection: serverBlinkDetection
     });
 
+    // Queue position, progress and failures follow on the session (JobEventsService)
+    jobEvents.trackFlow(clientInfo.sessionId, frameId, flow);
+
     // Send acknowledgment
     wsService.sendToClient(ws, {
       type: 'frame_received',
       frameId,
+      sequence: frame.sequence,
       sessionId: clientInfo.sessionId,
       filename,
       size,
-      queuedForInference: true
+      queuedForProcessing: true,
+      queuedForBlinkDetection: serverBlinkDetection
     });
 
   } catch (error) {
@@ -201,31 +249,127 @@ function setupWebSocketHandlers() {
 
       switch (type) {
         case 'ping':
-          wsService.sendToClient(ws, { type: 'pong', timestamp: Date.now() });
+          wsService.reply(ws, message, { type: 'pong', timestamp: Date.now() });
           break;
 
         case 'get_stats':
           const stats = await getSessionStats(clientInfo.sessionId);
-          wsService.sendToClient(ws, { type: 'stats', data: stats });
+          wsService.reply(ws, message, { type: 'stats', data: stats });
+          break;
+
+        case 'request_blink_detection': {
+          // Re-analyze a stored frame or frame range (FrameAnalysisService); the
+          // result follows as blink_detection_result
+          const { error, request } = FrameAnalysisService.parseRequest({ requestId: message.id?.toString(), ...data });
+          if (error) {
+            wsService.sendError(ws, error, 'VALIDATION_ERROR', { replyTo: message.id });
+            break;
+          }
+
+          const frames = await FrameAnalysisService.resolveFrames(request, clientInfo);
+          if (frames.error) {
+            wsService.sendError(ws, frames.error, frames.code, { replyTo: message.id });
+            break;
+          }
+
+          const job = await FrameAnalysisService.enqueue(request, {
+            sessionId: clientInfo.sessionId,
+            frameIds: frames.frameIds
+          });
+          jobEvents.trackAnalysis(clientInfo.sessionId, job);
+
+          wsService.reply(ws, message, {
+            type: 'blink_detection_queued',
+            requestId: request.requestId,
+            jobId: job.id,
+            frameId: frames.frameIds[0],
+            frameCount: frames.frameIds.length,
+            blink: request.blink,
+            model: request.model,
+            modelId: request.modelId
+          });
+          break;
+        }
+
+        case 'blink_event':
+        case 'blink_stats': {
+          // Blink events / stats computed in the browser
+          const { error, batch } = BlinkService.parseBatch(
+            type === 'blink_event' ? { events: data } : { stats: data }
+          );
+          if (error) {
+            wsService.sendError(ws, error, 'VALIDATION_ERROR', { replyTo: message.id });
+            break;
+          }
+
+          const result = await BlinkService.ingest(clientInfo.sessionId, batch);
+          if (!result) {
+            wsService.sendError(ws, 'Session not found', 'SESSION_NOT_FOUND', { replyTo: message.id });
+            break;
+          }
+
+          await SessionPresence.update(clientInfo.sessionId, { blinkCount: result.totalBlinks });
+
+          // Frames right after a blink are worth running through the models
+          if (batch.events.length > 0) {
+            const lastBlink = batch.events[batch.events.length - 1].timestamp;
+            await FrameSampler.keepFramesUntil(clientInfo.sessionId, lastBlink + SAMPLING_CONFIG.keepWindowMs);
+          }
+
+          wsService.reply(ws, message, { type: 'blink_ack', ...result });
+          break;
+        }
+
+        case 'set_blink_detection':
+          // Client opts in/out of server-side blink detection for its frames
+          wsService.updateClientMetadata(ws, { serverBlinkDetection: data.enabled });
+          wsService.reply(ws, message, {
+            type: 'blink_detection_mode',
+            serverBlinkDetection: data.enabled
+          });
           break;
 
-        case 'request_blink_detection':
-          // Client can request blink detection on specific frame
-          if (data.frameId) {
-            // Trigger blink detection (implementation depends on your flow)
-            wsService.sendToClient(ws, { 
-              type: 'blink_detection_queued', 
-              frameId: data.frameId 
-            });
+        case 'set_inference_cadence': {
+          // Minimum gap between frames sent to inference for this connection
+          const intervalMs = FrameSampler.normalizeInterval(data?.intervalMs);
+          wsService.updateClientMetadata(ws, { inferenceIntervalMs: intervalMs });
+          wsService.reply(ws, message, { type: 'inference_cadence', intervalMs });
+          break;
+        }
+
+        case 'subscribe': {
+          // Sensor readings of a session or device, or a session's aggregates (SensorService)
+          const { error, code, subscription } = await SensorService.authorizeSubscription(data, clientInfo);
+          if (error) {
+            wsService.sendError(ws, error, code, { replyTo: message.id });
+            break;
+          }
+
+          if (!clientInfo.subscriptions.has(subscriptionKey(subscription)) &&
+            clientInfo.subscriptions.size >= SENSOR_CONFIG.maxSubscriptions) {
+            wsService.sendError(ws, `At most ${SENSOR_CONFIG.maxSubscriptions} subscriptions per connection`,
+              'VALIDATION_ERROR', { replyTo: message.id });
+            break;
           }
+
+          const subscriptions = wsService.subscribe(ws, subscription);
+          wsService.reply(ws, message, { type: 'subscribed', ...subscription, subscriptions });
+          break;
+        }
+
+        case 'unsubscribe': {
+          const subscriptions = wsService.unsubscribe(ws, data);
+          wsService.reply(ws, message, { type: 'unsubscribed', topic: data.topic, id: data.id, subscriptions });
           break;
+        }
 
         default:
-          console.log(`[WebSocket] Unknown message type: ${type}`);
+          // Declared in services/message.protocol.js but not handled here
+          console.warn(`[WebSocket] No handler for message type: ${type}`);
       }
     } catch (error) {
       console.error('[WebSocket] Message handling error:', error);
-      wsService.sendError(ws, 'Failed to process message');
+      wsService.sendError(ws, 'Failed to process message', 'ERROR', { replyTo: message.id });
     }
   });
 
@@ -244,26 +388,27 @@ function setupWebSocketHandlers() {
     // Create session in database
     await Session.create({
       session_id: sessionId,
+      user_id: clientInfo.user?.id ?? null,
       user_agent: clientInfo.metadata?.userAgent || 'Unknown',
       ip_address: clientInfo.ip,
       is_active: true
     });
 
-    activeSessions.set(sessionId, {
-      connectedAt: Date.now(),
-      frameCount: 0,
-      blinkCount: 0
-    });
+    console.log(`[App] New session created: ${sessionId} (User: ${clientInfo.user?.id ?? 'anonymous'})`);
+  });
 
-    console.log(`[App] New session created: ${sessionId}`);
+  // Handle reconnect within the resume grace period
+  wsService.on('session_resumed', async ({ sessionId }) => {
+    console.log(`[App] Session resumed: ${sessionId}`);
   });
 
-  // Handle session end
+  // Handle session end (emitted on one worker only, whichever ended it)
   wsService.on('session_ended', async ({ sessionId }) => {
     // Update session in database
     await DatabaseHelpers.endSession(sessionId);
+    await BlinkService.clearState(sessionId);
+    await FrameSampler.clearState(sessionId);
 
-    activeSessions.delete(sessionId);
     console.log(`[App] Session ended: ${sessionId}`);
   });
 }
@@ -279,10 +424,7 @@ async function updateSessionFrameCount(sessionId) {
       });
     }
 
-    const sessionData = activeSessions.get(sessionId);
-    if (sessionData) {
-      sessionData.frameCount++;
-    }
+    await SessionPresence.increment(sessionId, 'frameCount');
   } catch (error) {
     console.error('[App] Error updating session frame count:', error);
   }
@@ -290,10 +432,15 @@ async function updateSessionFrameCount(sessionId) {
 
 async function getSessionStats(sessionId) {
   try {
-    const stats = await DatabaseHelpers.getSessionStats(sessionId);
+    const [stats, sampling, activeSession] = await Promise.all([
+      DatabaseHelpers.getSessionStats(sessionId),
+      FrameSampler.getSessionStats(sessionId),
+      SessionPresence.get(sessionId)
+    ]);
     return {
       ...stats,
-      activeSession: activeSessions.get(sessionId) || null
+      sampling,
+      activeSession
     };
   } catch (error) {
     console.error('[App] Error getting session stats:', error);
@@ -306,6 +453,9 @@ async function getSessionStats(sessionId) {
 // Mount auth routes
 app.use('/api/auth', authRoutes);
 
+// Mount admin routes
+app.use('/api/admin', adminRoutes);
+
 // ==================== REST API ROUTES ====================
 
 // Health check
@@ -325,8 +475,8 @@ app.get('/', (req, res) => {
 
 // ==================== S3 ROUTES ====================
 
-// S3 Ninja status
-app.get('/api/s3/status', async (req, res) => {
+// Storage driver status
+app.get('/api/s3/status', authenticate, authorize('admin'), async (req, res) => {
   try {
     const status = await getS3Status();
     res.json(status);
@@ -336,7 +486,7 @@ app.get('/api/s3/status', async (req, res) => {
 });
 
 // List stored frames
-app.get('/api/s3/frames', async (req, res) => {
+app.get('/api/s3/frames', authenticate, authorize('admin'), async (req, res) => {
   try {
     const { prefix = 'frames/', limit = 100 } = req.query;
     const objects = await listObjects(null, prefix);
@@ -357,33 +507,87 @@ app.get('/api/s3/frames', async (req, res) => {
 
 // ==================== SENSOR ROUTES ====================
 
-// Receive sensor data
-app.post('/api/sensor', async (req, res) => {
+const isValidDeviceId = (deviceId) =>
+  deviceId === undefined || deviceId === null || (typeof deviceId === 'string' && deviceId.length <= 100);
+
+// Issue a token a sensor device posts this session's readings with
+app.post('/api/sessions/:sessionId/sensor-token', authenticate, requireSessionAccess(), async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: 'deviceId must be a string of at most 100 characters' });
+    }
+
+    if (!req.monitoringSession.is_active) {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    const token = generateSensorToken({
+      sessionId: req.monitoringSession.session_id,
+      userId: req.monitoringSession.user_id,
+      deviceId: deviceId || null
+    });
+
+    res.json({ token, expiresIn: getTokenExpiresIn(token) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Receive sensor data, from a device token (bound to its session) or a user
+// posting for a session they can access
+app.post('/api/sensor', authenticateSensor, async (req, res) => {
   try {
-    const { temp, hum, ldr, sessionId } = req.body;
+    const { temp, hum, ldr } = req.body;
+    let { sessionId, deviceId } = req.body;
 
     if (temp === undefined || hum === undefined || ldr === undefined) {
       return res.status(400).json({ error: 'Missing required fields: temp, hum, ldr' });
     }
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: 'deviceId must be a string of at most 100 characters' });
+    }
+
+    if (req.sensorDevice) {
+      const device = req.sensorDevice;
+      if ((sessionId && sessionId !== device.sessionId) || (device.deviceId && deviceId && deviceId !== device.deviceId)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Token is for another session or device' });
+      }
+      sessionId = device.sessionId;
+      deviceId = device.deviceId || deviceId;
+    } else if (sessionId) {
+      const session = await Session.findOne({ where: { session_id: sessionId } });
+      if (!session || !canAccessSession(req.user, session)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+    } else if (req.user.role !== 'admin') {
+      // Readings without a session are only visible to admins
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
     
     // Save to database
     const reading = await SensorReading.create({
       temp: parseFloat(temp),
       hum: parseFloat(hum),
       ldr: parseFloat(ldr),
-      session_id: sessionId || null
+      session_id: sessionId || null,
+      device_id: deviceId || null
     });
 
     const sensorData = {
       id: reading.id,
+      sessionId: reading.session_id,
+      deviceId: reading.device_id,
       temp: reading.temp,
       hum: reading.hum,
       ldr: reading.ldr,
       timestamp: reading.timestamp
     };
 
-    // Broadcast to all connected clients via Redis
-    await redisPub.publish('sensor-updates', JSON.stringify(sensorData));
+    // Only clients subscribed to the session or device (and allowed to see it) get it
+    await SensorService.publishReading(reading);
 
     res.json({ 
       status: 'ok', 
@@ -396,11 +600,12 @@ app.post('/api/sensor', async (req, res) => {
 });
 
 // Get sensor readings
-app.get('/api/sensor/readings', async (req, res) => {
+app.get('/api/sensor/readings', authenticate, scopeToUserSessions, async (req, res) => {
   try {
-    const { sessionId, limit = 50 } = req.query;
+    const { limit = 50 } = req.query;
     
-    const where = sessionId ? { session_id: sessionId } : {};
+    // Scoped to the requested session, or to the caller's sessions for non-admins
+    const where = req.sessionScope ? { session_id: req.sessionScope } : {};
     
     const readings = await SensorReading.findAll({
       where,
@@ -418,7 +623,7 @@ app.get('/api/sensor/readings', async (req, res) => {
 });
 
 // Get sensor aggregates
-app.get('/api/sensor/aggregates/:sessionId', async (req, res) => {
+app.get('/api/sensor/aggregates/:sessionId', authenticate, requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { timeWindow = 300000 } = req.query; // 5 minutes default
@@ -437,7 +642,7 @@ app.get('/api/sensor/aggregates/:sessionId', async (req, res) => {
 // ==================== SESSION ROUTES ====================
 
 // Get session statistics
-app.get('/api/stats/:sessionId', async (req, res) => {
+app.get('/api/stats/:sessionId', authenticate, requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const stats = await getSessionStats(sessionId);
@@ -453,16 +658,25 @@ app.get('/api/stats/:sessionId', async (req, res) => {
 });
 
 // Get all active sessions
-app.get('/api/sessions/active', async (req, res) => {
+app.get('/api/sessions/active', authenticate, async (req, res) => {
   try {
+    const where = { is_active: true };
+    if (req.user.role !== 'admin') {
+      where.user_id = req.user.id;
+    }
+
     const sessions = await Session.findAll({
-      where: { is_active: true },
+      where,
       order: [['started_at', 'DESC']]
     });
 
+    // Where each session is connected across all API workers; null when no
+    // worker holds it (e.g. left behind by a crashed worker)
+    const presence = await SessionPresence.getMany(sessions.map(session => session.session_id));
+
     res.json({
       count: sessions.length,
-      sessions
+      sessions: sessions.map((session, index) => ({ ...session.toJSON(), presence: presence[index] }))
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -470,19 +684,9 @@ app.get('/api/sessions/active', async (req, res) => {
 });
 
 // Get session details
-app.get('/api/sessions/:sessionId', async (req, res) => {
+app.get('/api/sessions/:sessionId', authenticate, requireSessionAccess(), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    const session = await Session.findOne({
-      where: { session_id: sessionId }
-    });
-
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-
-    res.json(session);
+    res.json(req.monitoringSession);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -491,13 +695,13 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
 // ==================== INFERENCE ROUTES ====================
 
 // Get recent inference results
-app.get('/api/inference/recent', async (req, res) => {
+app.get('/api/inference/recent', authenticate, scopeToUserSessions, async (req, res) => {
   try {
-    const { sessionId, limit = 10 } = req.query;
+    const { limit = 10 } = req.query;
     
     const results = await DatabaseHelpers.getRecentInferences(
       parseInt(limit), 
-      sessionId
+      req.sessionScope
     );
 
     res.json({
@@ -509,24 +713,32 @@ app.get('/api/inference/recent', async (req, res) => {
   }
 });
 
-// Get inference result by frame ID
-app.get('/api/inference/frame/:frameId', async (req, res) => {
+// Get inference results of a frame, one per model run (?model= to filter by model name)
+app.get('/api/inference/frame/:frameId', authenticate, requireFrameAccess(), async (req, res) => {
   try {
     const { frameId } = req.params;
+    const { model } = req.query;
     
-    const result = await InferenceResult.findOne({
-      where: { frame_id: frameId },
+    const results = await InferenceResult.findAll({
+      where: { frame_id: frameId, ...(model && { model_name: model }) },
       include: [{
-        model: Frame,
-        as: 'frame'
-      }]
+        model: InferencePrediction,
+        as: 'predictions',
+        separate: true,
+        order: [['source', 'ASC'], ['rank', 'ASC']]
+      }],
+      order: [['processed_at', 'DESC']]
     });
 
-    if (!result) {
+    if (results.length === 0) {
       return res.status(404).json({ error: 'Inference result not found' });
     }
 
-    res.json(result);
+    res.json({
+      frame: req.frame,
+      count: results.length,
+      results
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -535,7 +747,7 @@ app.get('/api/inference/frame/:frameId', async (req, res) => {
 // ==================== BLINK STATS ROUTES ====================
 
 // Get blink statistics
-app.get('/api/blinks/:sessionId', async (req, res) => {
+app.get('/api/blinks/:sessionId', authenticate, requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { limit = 100 } = req.query;
@@ -555,10 +767,37 @@ app.get('/api/blinks/:sessionId', async (req, res) => {
   }
 });
 
+// Ingest a batch of client-side blink events and stats
+app.post('/api/blinks/:sessionId', authenticate, requireSessionAccess(), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { error, batch } = BlinkService.parseBatch(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Validation Error', message: error });
+    }
+
+    const result = await BlinkService.ingest(sessionId, batch);
+    if (!result) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await SessionPresence.update(sessionId, { blinkCount: result.totalBlinks });
+
+    res.status(201).json({
+      status: 'ok',
+      ...result
+    });
+  } catch (error) {
+    console.error('[API] Blink ingestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== STORAGE ROUTES ====================
 
 // Manual cleanup
-app.post('/api/storage/cleanup', async (req, res) => {
+app.post('/api/storage/cleanup', authenticate, authorize('admin'), async (req, res) => {
   try {
     const { daysOld = 7 } = req.body;
     const result = await StorageService.cleanupOldFrames(parseInt(daysOld));
@@ -573,29 +812,80 @@ app.post('/api/storage/cleanup', async (req, res) => {
 });
 
 // Get frame by ID
-app.get('/api/frames/:frameId', async (req, res) => {
+app.get('/api/frames/:frameId', authenticate, requireFrameAccess(), async (req, res) => {
+  try {
+    const assets = await FrameAsset.findAll({
+      where: { frame_id: req.frame.id },
+      attributes: ['kind', 'width', 'height', 'file_size', 'region']
+    });
+
+    res.json({ ...req.frame.toJSON(), assets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get an expiring frame URL (?expiresIn=seconds, capped by SIGNED_URL_MAX_TTL;
+// ?asset=face|left_eye|right_eye|thumbnail for a derived image)
+app.get('/api/frames/:frameId/url', authenticate, requireFrameAccess(), async (req, res) => {
   try {
     const { frameId } = req.params;
-    
-    const frame = await Frame.findByPk(frameId);
-    if (!frame) {
-      return res.status(404).json({ error: 'Frame not found' });
+    const { asset } = req.query;
+    const expiresIn = req.query.expiresIn ? parseInt(req.query.expiresIn) : undefined;
+
+    if (expiresIn !== undefined && !(expiresIn > 0)) {
+      return res.status(400).json({ error: 'expiresIn must be a positive number of seconds' });
+    }
+    if (asset && !FRAME_ASSET_KINDS.includes(asset)) {
+      return res.status(400).json({ error: `asset must be one of: ${FRAME_ASSET_KINDS.join(', ')}` });
     }
 
-    res.json(frame);
+    const frameUrl = await StorageService.getFrameUrl(frameId, expiresIn, asset);
+    if (!frameUrl) {
+      return res.status(404).json({ error: `Frame has no ${asset} image` });
+    }
+    const { url, expiresIn: ttl, proxied } = frameUrl;
+
+    res.json({
+      url,
+      proxied,
+      expiresIn: ttl,
+      expiresAt: ttl ? new Date(Date.now() + ttl * 1000).toISOString() : null
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get frame URL
-app.get('/api/frames/:frameId/url', async (req, res) => {
+// Stream the frame image (or ?asset=) through the API (for storage that can't presign)
+app.get('/api/frames/:frameId/image', authenticate, requireFrameAccess(), async (req, res) => {
   try {
-    const { frameId } = req.params;
-    const url = await StorageService.getFrameUrl(frameId);
-    
-    res.json({ url });
+    const { asset } = req.query;
+    if (asset && !FRAME_ASSET_KINDS.includes(asset)) {
+      return res.status(400).json({ error: `asset must be one of: ${FRAME_ASSET_KINDS.join(', ')}` });
+    }
+
+    const image = await StorageService.getFrameStream(req.frame, asset);
+    if (!image) {
+      return res.status(404).json({ error: `Frame has no ${asset} image` });
+    }
+    const { body, contentType, contentLength } = image;
+
+    res.set({
+      'Content-Type': contentType || 'image/jpeg',
+      'Cache-Control': 'private, max-age=300',
+      ...(contentLength && { 'Content-Length': contentLength })
+    });
+
+    await pipeline(body, res);
   } catch (error) {
+    if (res.headersSent) {
+      // Stream broke mid-response; nothing left to do but drop the connection
+      return res.destroy(error);
+    }
+    if (error.name === 'NoSuchKey' || error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Frame image not found in storage' });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -603,43 +893,153 @@ app.get('/api/frames/:frameId/url', async (req, res) => {
 // ==================== QUEUE MONITORING ROUTES ====================
 
 // Get queue statistics
-app.get('/api/queues/stats', async (req, res) => {
+app.get('/api/queues/stats', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const [frameQueueStats, inferenceQueueStats] = await Promise.all([
+    const [frameQueueStats, inferenceQueueStats, blinkQueueStats, analysisQueueStats, emailQueueStats, deadLetterCount] = await Promise.all([
       frameQueue.getJobCounts(),
-      inferenceQueue.getJobCounts()
+      inferenceQueue.getJobCounts(),
+      blinkQueue.getJobCounts(),
+      analysisQueue.getJobCounts(),
+      emailQueue.getJobCounts(),
+      DeadLetterService.getCount()
     ]);
 
     res.json({
       frameQueue: frameQueueStats,
-      inferenceQueue: inferenceQueueStats
+      inferenceQueue: inferenceQueueStats,
+      blinkQueue: blinkQueueStats,
+      analysisQueue: analysisQueueStats,
+      emailQueue: emailQueueStats,
+      deadLetter: { count: deadLetterCount }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List dead-lettered jobs, newest first (?queue=inference-processing&offset=0&limit=50)
+app.get('/api/queues/failed', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { queue } = req.query;
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    if (queue && !queues[queue]) {
+      return res.status(400).json({ error: `queue must be one of: ${Object.keys(queues).join(', ')}` });
+    }
+
+    const { total, entries } = await DeadLetterService.list({ queue, offset, limit });
+
+    res.json({
+      total,
+      offset,
+      limit,
+      jobs: entries
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry several dead-lettered jobs: { ids: [...] }, { queue } or {} for all
+app.post('/api/queues/failed/retry', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { ids, queue } = req.body || {};
+
+    if (ids !== undefined && !(Array.isArray(ids) && ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'ids must be an array of dead-letter job IDs' });
+    }
+    if (queue && !queues[queue]) {
+      return res.status(400).json({ error: `queue must be one of: ${Object.keys(queues).join(', ')}` });
+    }
+
+    const { retried, failed } = await DeadLetterService.retryAll({ ids, queue });
+
+    res.json({
+      retried: retried.length,
+      failed: failed.length,
+      jobs: retried,
+      errors: failed
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Inspect a dead-lettered job: data, error, stack and attempt history
+app.get('/api/queues/failed/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const job = await DeadLetterService.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put a dead-lettered job back on its queue
+app.post('/api/queues/failed/:id/retry', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await DeadLetterService.retry(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discard a dead-lettered job
+app.delete('/api/queues/failed/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const removed = await DeadLetterService.discard(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== WEBSOCKET CONNECTION INFO ====================
 
-// Get WebSocket statistics
-app.get('/api/websocket/stats', (req, res) => {
+// Get WebSocket statistics of all API workers
+app.get('/api/websocket/stats', authenticate, authorize('admin'), async (req, res) => {
   if (!wsService) {
     return res.status(503).json({ error: 'WebSocket service not initialized' });
   }
 
-  const stats = wsService.getStats();
-  res.json(stats);
+  try {
+    const stats = await wsService.getClusterStats();
+    const ingest = await IngestLimiter.getStatus();
+    res.json({ ...stats, ingest });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // ==================== SYSTEM ROUTES ====================
 
 // Get system information
-app.get('/api/system/info', async (req, res) => {
+app.get('/api/system/info', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const [s3Status, dbStats, queueStats] = await Promise.all([
+    const [s3Status, dbStats, queueStats, presence, websocket] = await Promise.all([
       getS3Status(),
       getDatabaseStats(),
-      getQueueStats()
+      getQueueStats(),
+      SessionPresence.count(),
+      // Across all API workers, like /api/websocket/stats
+      wsService ? wsService.getClusterStats() : null
     ]);
 
     res.json({
@@ -650,8 +1050,9 @@ app.get('/api/system/info', async (req, res) => {
       s3: s3Status,
       database: dbStats,
       queues: queueStats,
-      activeSessions: activeSessions.size,
-      websocket: wsService ? wsService.getStats() : null
+      activeSessions: presence.sessions,
+      websocket,
+      jobEvents: jobEvents ? jobEvents.getStats() : null
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -683,14 +1084,20 @@ async function getDatabaseStats() {
 
 async function getQueueStats() {
   try {
-    const [frameStats, inferenceStats] = await Promise.all([
+    const [frameStats, inferenceStats, blinkStats, analysisStats, deadLetterCount] = await Promise.all([
       frameQueue.getJobCounts(),
-      inferenceQueue.getJobCounts()
+      inferenceQueue.getJobCounts(),
+      blinkQueue.getJobCounts(),
+      analysisQueue.getJobCounts(),
+      DeadLetterService.getCount()
     ]);
 
     return {
       frameQueue: frameStats,
-      inferenceQueue: inferenceStats
+      inferenceQueue: inferenceStats,
+      blinkQueue: blinkStats,
+      analysisQueue: analysisStats,
+      deadLetter: { count: deadLetterCount }
     };
   } catch (error) {
     return { error: error.message };
@@ -727,7 +1134,8 @@ function startScheduledTasks() {
     console.log('[Scheduler] Running daily cleanup...');
     try {
       await StorageService.cleanupOldFrames(7);
-      console.log('[Scheduler] Cleanup completed');
+      const tokensDeleted = await TokenService.cleanupExpired();
+      console.log(`[Scheduler] Cleanup completed (${tokensDeleted} expired refresh tokens removed)`);
     } catch (error) {
       console.error('[Scheduler] Cleanup error:', error);
     }
@@ -752,6 +1160,11 @@ async function gracefulShutdown(signal) {
       await wsService.shutdown();
     }
 
+    if (jobEvents) {
+      console.log('[Shutdown] Closing job event listeners...');
+      await jobEvents.stop();
+    }
+
     // Close database connection
     console.log('[Shutdown] Closing database connection...');
     await sequelize.close();
@@ -811,7 +1224,7 @@ async function startServer() {
       console.log(`   Worker ID: ${WORKER_ID}`);
       console.log(`   Environment: ${NODE_ENV}`);
       console.log(`   WebSocket: ws://0.0.0.0:${PORT}/ws`);
-      console.log(`   S3 Ninja UI: http://localhost:9444`);
+      console.log(`   Storage: ${storage.id}`);
       console.log('='.repeat(60) + '\n');
     });
 
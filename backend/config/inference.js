@@ -0,0 +1,49 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Which backend runs the models: 'roboflow' (hosted API) or 'local' (TensorFlow.js on CPU)
+export const INFERENCE_PROVIDER = (process.env.INFERENCE_PROVIDER || 'roboflow').toLowerCase();
+
+// Roboflow serverless API
+export const ROBOFLOW_API_URL = process.env.ROBOFLOW_API_URL || 'https://serverless.roboflow.com';
+export const ROBOFLOW_API_KEY = process.env.ROBOFLOW_API_KEY;
+
+// Local TensorFlow.js models, one directory per model ID ('emotion-esmd2/2' -> 'emotion-esmd2__2')
+export const LOCAL_MODEL_DIR = process.env.LOCAL_MODEL_DIR || path.join(__dirname, '..', 'ml-models');
+
+// Model IDs used by the frame pipeline, keyed by model name. Each name gets
+// its own inference_results row per frame, so adding a model needs no schema change.
+export const MODELS = {
+  emotion: process.env.EMOTION_MODEL_ID || 'emotion-esmd2/2',
+  redness: process.env.REDNESS_MODEL_ID || 'redness-of-eyes-aju4x/1'
+};
+
+// Which images a model sees: 'frame' (the processed frame) or 'eyes' (left/right
+// eye crops). Models not listed get the frame.
+export const MODEL_INPUTS = {
+  redness: 'eyes'
+};
+
+// 'emotion-esmd2/2' -> { id: 'emotion-esmd2', version: '2' }. IDs without a
+// version get 'latest' so results still have a unique frame + model ID + version.
+export const parseModelId = (modelId) => {
+  const index = modelId.lastIndexOf('/');
+  return index === -1
+    ? { id: modelId, version: 'latest' }
+    : { id: modelId.slice(0, index), version: modelId.slice(index + 1) };
+};
+
+export default {
+  provider: INFERENCE_PROVIDER,
+  roboflow: {
+    apiUrl: ROBOFLOW_API_URL,
+    apiKey: ROBOFLOW_API_KEY
+  },
+  local: {
+    modelDir: LOCAL_MODEL_DIR
+  },
+  models: MODELS,
+  modelInputs: MODEL_INPUTS
+};
@@ -0,0 +1,40 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// How emails are delivered: 'smtp', 'file' (writes .eml files, for local dev) or 'memory' (kept in-process, for tests)
+export const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'smtp' : 'file')).toLowerCase();
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'VisionCare <no-reply@visioncare.local>';
+
+export const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT || '587'),
+  secure: process.env.SMTP_SECURE === 'true',
+  ...(process.env.SMTP_USER && {
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  })
+};
+
+// Where the file transport drops messages
+export const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+// Base URLs used to build links in emails
+export const PUBLIC_API_URL = process.env.PUBLIC_API_URL || 'http://localhost:8000';
+export const PUBLIC_APP_URL = process.env.PUBLIC_APP_URL || 'http://localhost:5173';
+
+export default {
+  transport: MAIL_TRANSPORT,
+  from: MAIL_FROM,
+  smtp: SMTP_CONFIG,
+  fileDir: MAIL_FILE_DIR,
+  urls: {
+    api: PUBLIC_API_URL,
+    app: PUBLIC_APP_URL
+  }
+};
@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+// Stores objects as files under <root>/<bucket>/<key>, for development and CI
+// without an S3 server. Keys keep their S3 form ('frames/abc.jpg').
+export class LocalDriver {
+  static id = 'local';
+
+  constructor({ root, bucket }) {
+    this.root = path.resolve(root);
+    this.bucket = bucket;
+  }
+
+  get id() {
+    return LocalDriver.id;
+  }
+
+  get canPresign() {
+    return false;
+  }
+
+  // Resolve a key inside the bucket directory, rejecting '../' escapes
+  resolve(key, bucket = this.bucket) {
+    const bucketDir = path.join(this.root, bucket);
+    const file = path.resolve(bucketDir, key);
+
+    if (!file.startsWith(bucketDir + path.sep)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  }
+
+  async get(key) {
+    return await fs.readFile(this.resolve(key));
+  }
+
+  async stream(key) {
+    const file = this.resolve(key);
+    const stat = await fs.stat(file);
+
+    return {
+      body: createReadStream(file),
+      contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      contentLength: stat.size
+    };
+  }
+
+  // Same shape as S3 ListObjectsV2 Contents
+  async list(prefix = '', bucket = this.bucket) {
+    const bucketDir = path.join(this.root, bucket);
+    let entries;
+
+    try {
+      entries = await fs.readdir(bucketDir, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+
+      const file = path.join(entry.parentPath ?? entry.path, entry.name);
+      const key = path.relative(bucketDir, file).split(path.sep).join('/');
+      if (!key.startsWith(prefix)) continue;
+
+      const stat = await fs.stat(file);
+      objects.push({ Key: key, Size: stat.size, LastModified: stat.mtime });
+    }
+
+    return objects.sort((a, b) => a.Key.localeCompare(b.Key));
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  async status() {
+    await fs.mkdir(path.join(this.root, this.bucket), { recursive: true });
+    const entries = await fs.readdir(this.root, { withFileTypes: true });
+
+    return {
+      endpoint: `file://${this.root}`,
+      buckets: entries.filter(e => e.isDirectory()).map(e => e.name)
+    };
+  }
+
+  // Files have no URL of their own; serve them through GET /api/frames/:frameId/image
+  async getUrl() {
+    return null;
+  }
+}
+
+export default LocalDriver;
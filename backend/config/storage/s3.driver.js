@@ -0,0 +1,112 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  ListBucketsCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { NodeHttpHandler } from '@smithy/node-http-handler';
+import { Agent } from 'http';
+
+// S3-compatible object storage (AWS S3, S3 Ninja, MinIO, ...)
+export class S3Driver {
+  static id = 's3';
+
+  constructor({ endpoint, region, bucket, credentials, forcePathStyle, maxAttempts }) {
+    this.endpoint = endpoint;
+    this.bucket = bucket;
+
+    this.client = new S3Client({
+      ...(endpoint && { endpoint }),
+      region,
+      forcePathStyle,
+      // Falls back to the SDK's default credential chain when unset
+      ...(credentials && { credentials }),
+      requestHandler: new NodeHttpHandler({
+        httpAgent: new Agent({ keepAlive: true }),
+        requestTimeout: 10000,
+        connectionTimeout: 5000
+      }),
+      maxAttempts
+    });
+  }
+
+  get id() {
+    return S3Driver.id;
+  }
+
+  get canPresign() {
+    return true;
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+
+    const chunks = [];
+    for await (const chunk of response.Body) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async stream(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return {
+      body: response.Body,
+      contentType: response.ContentType,
+      contentLength: response.ContentLength
+    };
+  }
+
+  // All objects under prefix, following continuation tokens
+  async list(prefix, bucket = this.bucket) {
+    const objects = [];
+    let ContinuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken
+      }));
+      objects.push(...(response.Contents || []));
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return objects;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async status() {
+    const response = await this.client.send(new ListBucketsCommand({}));
+    return {
+      endpoint: this.endpoint || `s3.${await this.client.config.region()}.amazonaws.com`,
+      buckets: response.Buckets?.map(b => b.Name) || []
+    };
+  }
+
+  // Time-limited presigned GET URL
+  async getUrl(key, { expiresIn }) {
+    return await getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn }
+    );
+  }
+}
+
+export default S3Driver;
@@ -16,19 +16,90 @@ module.exports = {
       autorestart: true,
       watch: false
     },
+    {
+      name: 'frame-worker',
+      script: './workers/index.js',
+      args: 'frame',
+      instances: 2, // sharp + face detection are CPU bound
+      exec_mode: 'fork',
+      env: {
+        NODE_ENV: 'production',
+        WORKER_HEALTH_PORT: 8100 // + instance number
+      },
+      kill_timeout: 35000, // let active jobs drain (WORKER_SHUTDOWN_TIMEOUT_MS)
+      max_memory_restart: '2G',
+      error_file: './logs/frame-worker-err.log',
+      out_file: './logs/frame-worker-out.log',
+      merge_logs: true,
+      autorestart: true
+    },
     {
       name: 'inference-worker',
-      script: './workers/frame-processor.worker.js',
+      script: './workers/index.js',
+      args: 'inference',
       instances: 2, // Run 2 inference workers
       exec_mode: 'fork',
       env: {
-        NODE_ENV: 'production'
+        NODE_ENV: 'production',
+        WORKER_HEALTH_PORT: 8110 // + instance number
       },
+      kill_timeout: 35000, // let active jobs drain (WORKER_SHUTDOWN_TIMEOUT_MS)
       max_memory_restart: '2G',
       error_file: './logs/worker-err.log',
       out_file: './logs/worker-out.log',
       merge_logs: true,
       autorestart: true
+    },
+    {
+      name: 'blink-worker',
+      script: './workers/index.js',
+      args: 'blink',
+      instances: 1, // Per-session eye state expects frames in order
+      exec_mode: 'fork',
+      env: {
+        NODE_ENV: 'production',
+        WORKER_HEALTH_PORT: 8120 // + instance number
+      },
+      kill_timeout: 35000, // let active jobs drain (WORKER_SHUTDOWN_TIMEOUT_MS)
+      max_memory_restart: '2G',
+      error_file: './logs/blink-worker-err.log',
+      out_file: './logs/blink-worker-out.log',
+      merge_logs: true,
+      autorestart: true
+    },
+    {
+      name: 'analysis-worker',
+      script: './workers/index.js',
+      args: 'analysis',
+      instances: 1,
+      exec_mode: 'fork',
+      env: {
+        NODE_ENV: 'production',
+        WORKER_HEALTH_PORT: 8140 // + instance number
+      },
+      kill_timeout: 35000, // let active jobs drain (WORKER_SHUTDOWN_TIMEOUT_MS)
+      max_memory_restart: '2G',
+      error_file: './logs/analysis-worker-err.log',
+      out_file: './logs/analysis-worker-out.log',
+      merge_logs: true,
+      autorestart: true
+    },
+    {
+      name: 'email-worker',
+      script: './workers/index.js',
+      args: 'email',
+      instances: 1,
+      exec_mode: 'fork',
+      env: {
+        NODE_ENV: 'production',
+        WORKER_HEALTH_PORT: 8130 // + instance number
+      },
+      kill_timeout: 35000, // let active jobs drain (WORKER_SHUTDOWN_TIMEOUT_MS)
+      max_memory_restart: '256M',
+      error_file: './logs/email-worker-err.log',
+      out_file: './logs/email-worker-out.log',
+      merge_logs: true,
+      autorestart: true
     }
   ]
 };
@@ -0,0 +1,121 @@
+import { Session, Frame } from '../models/database.models.js';
+
+// Ownership checks for monitoring data. Sessions belong to the user that opened
+// them (Session.user_id); frames, blinks, inferences and sensor readings inherit
+// that through their session_id. Admins can access everything.
+// All of these expect `authenticate` to have run first.
+
+const isAdmin = (user) => user?.role === 'admin';
+
+export const canAccessSession = (user, session) => {
+  if (isAdmin(user)) return true;
+  return Boolean(session && session.user_id !== null && session.user_id === user?.id);
+};
+
+const forbidden = (res, message) => res.status(403).json({
+  error: 'Forbidden',
+  message
+});
+
+// Require access to the session named by req.params[param]; attaches req.monitoringSession
+export const requireSessionAccess = (param = 'sessionId') => {
+  return async (req, res, next) => {
+    try {
+      const session = await Session.findOne({
+        where: { session_id: req.params[param] }
+      });
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!canAccessSession(req.user, session)) {
+        return forbidden(res, 'You do not have access to this session');
+      }
+
+      req.monitoringSession = session;
+      next();
+    } catch (error) {
+      console.error('[Access Middleware] Session check error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+// Require access to the frame named by req.params[param]; attaches req.frame
+export const requireFrameAccess = (param = 'frameId') => {
+  return async (req, res, next) => {
+    try {
+      const frame = await Frame.findByPk(req.params[param]);
+
+      if (!frame) {
+        return res.status(404).json({ error: 'Frame not found' });
+      }
+
+      if (!isAdmin(req.user)) {
+        const session = frame.session_id
+          ? await Session.findOne({ where: { session_id: frame.session_id } })
+          : null;
+
+        if (!canAccessSession(req.user, session)) {
+          return forbidden(res, 'You do not have access to this frame');
+        }
+      }
+
+      req.frame = frame;
+      next();
+    } catch (error) {
+      console.error('[Access Middleware] Frame check error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+// For list routes filtered by an optional ?sessionId=. Sets req.sessionScope to:
+//   - the requested session ID, if the user may access it
+//   - null (no filter) for admins without a sessionId
+//   - the user's own session IDs otherwise
+// The value can be used directly in a Sequelize `where` (arrays become IN).
+export const scopeToUserSessions = async (req, res, next) => {
+  try {
+    const { sessionId } = req.query;
+
+    if (sessionId) {
+      const session = await Session.findOne({ where: { session_id: sessionId } });
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!canAccessSession(req.user, session)) {
+        return forbidden(res, 'You do not have access to this session');
+      }
+
+      req.sessionScope = sessionId;
+      return next();
+    }
+
+    if (isAdmin(req.user)) {
+      req.sessionScope = null;
+      return next();
+    }
+
+    const sessions = await Session.findAll({
+      where: { user_id: req.user.id },
+      attributes: ['session_id']
+    });
+
+    req.sessionScope = sessions.map(s => s.session_id);
+    next();
+  } catch (error) {
+    console.error('[Access Middleware] Scope error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export default {
+  canAccessSession,
+  requireSessionAccess,
+  requireFrameAccess,
+  scopeToUserSessions
+};
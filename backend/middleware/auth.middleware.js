@@ -1,10 +1,15 @@
 import jwt from 'jsonwebtoken';
-import { User } from '../models/database.models.js';
+import { v4 as uuidv4 } from 'uuid';
+import { User, Session } from '../models/database.models.js';
+import { TokenService } from '../services/token.service.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them with a refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+// Sensor device tokens are flashed onto a device once per monitoring session
+const SENSOR_TOKEN_EXPIRES_IN = process.env.SENSOR_TOKEN_EXPIRES_IN || '7d';
 
-// Generate JWT token
+// Generate JWT access token (jti allows revoking a single token)
 export const generateToken = (user) => {
   return jwt.sign(
     {
@@ -13,10 +18,31 @@ export const generateToken = (user) => {
       role: user.role
     },
     JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
+    { expiresIn: JWT_EXPIRES_IN, jwtid: uuidv4() }
   );
 };
 
+// Generate a token a sensor device posts readings with. It is bound to one
+// session (and device, if given) and carries no user identity.
+export const generateSensorToken = ({ sessionId, userId, deviceId = null }) => {
+  return jwt.sign(
+    {
+      type: 'sensor',
+      sessionId,
+      userId,
+      deviceId
+    },
+    JWT_SECRET,
+    { expiresIn: SENSOR_TOKEN_EXPIRES_IN, jwtid: uuidv4() }
+  );
+};
+
+// Access token lifetime in seconds, for clients scheduling a refresh
+export const getTokenExpiresIn = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded?.exp ? decoded.exp - decoded.iat : null;
+};
+
 // Verify JWT token
 export const verifyToken = (token) => {
   try {
@@ -26,6 +52,55 @@ export const verifyToken = (token) => {
   }
 };
 
+// Verify a token and load its user, honouring revocation.
+// Returns { user, decoded } or { error }.
+export const resolveTokenUser = async (token) => {
+  const decoded = verifyToken(token);
+
+  if (!decoded || decoded.type === 'sensor') {
+    return { error: 'Invalid or expired token' };
+  }
+
+  const user = await User.findByPk(decoded.id);
+
+  if (!user || !user.is_active) {
+    return { error: 'User not found or inactive' };
+  }
+
+  if (await TokenService.isAccessTokenRevoked(decoded, user)) {
+    return { error: 'Token has been revoked' };
+  }
+
+  return { user, decoded };
+};
+
+// Verify a sensor device token. It stops working when its session ends, changes
+// owner, or the owner's tokens are revoked (logout everywhere, password reset).
+// Returns { device: { sessionId, deviceId } } or { error }.
+export const resolveSensorToken = async (token) => {
+  const decoded = verifyToken(token);
+
+  if (decoded?.type !== 'sensor') {
+    return { error: 'Invalid or expired token' };
+  }
+
+  const session = await Session.findOne({ where: { session_id: decoded.sessionId } });
+
+  if (!session || !session.is_active || session.user_id !== decoded.userId) {
+    return { error: 'Session has ended' };
+  }
+
+  if (session.user_id !== null) {
+    const user = await User.findByPk(session.user_id);
+
+    if (!user || !user.is_active || await TokenService.isAccessTokenRevoked(decoded, user)) {
+      return { error: 'Token has been revoked' };
+    }
+  }
+
+  return { device: { sessionId: decoded.sessionId, deviceId: decoded.deviceId } };
+};
+
 // Authentication middleware
 export const authenticate = async (req, res, next) => {
   try {
@@ -41,28 +116,19 @@ export const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Verify token
-    const decoded = verifyToken(token);
-    
-    if (!decoded) {
-      return res.status(401).json({ 
-        error: 'Unauthorized',
-        message: 'Invalid or expired token' 
-      });
-    }
-
-    // Get user from database
-    const user = await User.findByPk(decoded.id);
+    // Verify token and check revocation
+    const { user, decoded, error } = await resolveTokenUser(token);
     
-    if (!user || !user.is_active) {
+    if (error) {
       return res.status(401).json({ 
         error: 'Unauthorized',
-        message: 'User not found or inactive' 
+        message: error 
       });
     }
 
-    // Attach user to request
+    // Attach user and decoded token to request
     req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
     console.error('[Auth Middleware] Error:', error);
@@ -80,13 +146,11 @@ export const optionalAuth = async (req, res, next) => {
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = verifyToken(token);
+      const { user, decoded } = await resolveTokenUser(token);
       
-      if (decoded) {
-        const user = await User.findByPk(decoded.id);
-        if (user && user.is_active) {
-          req.user = user;
-        }
+      if (user) {
+        req.user = user;
+        req.token = decoded;
       }
     }
     
@@ -97,6 +161,42 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Sensor authentication: a device token (attaches req.sensorDevice) or a user
+// access token (attaches req.user)
+export const authenticateSensor = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const token = authHeader.substring(7);
+
+    if (verifyToken(token)?.type !== 'sensor') {
+      return authenticate(req, res, next);
+    }
+
+    const { device, error } = await resolveSensorToken(token);
+
+    if (error) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: error
+      });
+    }
+
+    req.sensorDevice = device;
+    next();
+  } catch (error) {
+    console.error('[Auth Middleware] Sensor auth error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Authentication failed'
+    });
+  }
+};
+
 // Role-based authorization middleware
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -174,8 +274,13 @@ export const resetLoginAttempts = (identifier) => {
 
 export default {
   generateToken,
+  generateSensorToken,
+  getTokenExpiresIn,
   verifyToken,
+  resolveTokenUser,
+  resolveSensorToken,
   authenticate,
+  authenticateSensor,
   optionalAuth,
   authorize,
   rateLimitLogin,
@@ -1,5 +1,6 @@
 import { Sequelize, DataTypes } from 'sequelize';
 import bcrypt from 'bcryptjs';
+import { Migrations } from './migrations.js';
 
 // Initialize Sequelize
 const sequelize = new Sequelize(
@@ -55,6 +56,33 @@ export const Frame = sequelize.define('frames', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  // Preprocessing state ('uploaded' -> 'ready' | 'failed'); `processed` tracks inference
+  status: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'ready'
+  },
+  // Original client upload, kept until the frame worker has produced s3_key
+  raw_s3_key: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  captured_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Source format/size/orientation, face box and sampling decision from the frame worker
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
   uploaded_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -63,11 +91,59 @@ export const Frame = sequelize.define('frames', {
   indexes: [
     { fields: ['session_id'] },
     { fields: ['processed'] },
+    { fields: ['status'] },
     { fields: ['uploaded_at'] }
   ]
 });
 
-// Inference Result Model
+// Frame Asset Model - Images derived from a frame (thumbnail, face crop)
+export const FrameAsset = sequelize.define('frame_assets', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  frame_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'frames',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  kind: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  s3_key: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  file_size: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Crop rectangle in the stored frame's pixel coordinates, if any
+  region: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['frame_id', 'kind'] }
+  ]
+});
+
+// Inference Result Model: one row per frame and model run
 export const InferenceResult = sequelize.define('inference_results', {
   id: {
     type: DataTypes.INTEGER,
@@ -83,6 +159,46 @@ export const InferenceResult = sequelize.define('inference_results', {
     },
     onDelete: 'CASCADE'
   },
+  // Role of the model in the pipeline (key of MODELS in config/inference.js)
+  model_name: {
+    type: DataTypes.STRING(50),
+    allowNull: true // null on rows written before per-model results
+  },
+  model_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  model_version: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'completed' // completed, failed
+  },
+  // Top prediction across all inputs, for quick filtering
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  confidence: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  // Provider responses keyed by input ({ frame } or { left_eye, right_eye })
+  raw_response: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Legacy summary columns, only set on rows written before per-model results
   emotion_label: {
     type: DataTypes.STRING(50),
     allowNull: true
@@ -118,11 +234,79 @@ export const InferenceResult = sequelize.define('inference_results', {
 }, {
   indexes: [
     { fields: ['frame_id'] },
+    // One result per frame + model, model ID and version (see InferenceService.saveResult).
+    // Existing tables get it from `npm run db:upgrade` (models/migrations.js).
+    { unique: true, fields: ['frame_id', 'model_name', 'model_id', 'model_version'] },
+    { fields: ['model_name', 'model_version'] },
+    { fields: ['label'] },
     { fields: ['emotion_label'] },
     { fields: ['processed_at'] }
   ]
 });
 
+// Inference Prediction Model: every class score / detection of an inference result
+export const InferencePrediction = sequelize.define('inference_predictions', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  inference_result_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'inference_results',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Image the prediction was made on: frame, left_eye, right_eye
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'frame'
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  class_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  class_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  confidence: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  // Bounding box for detection models (center x/y, as returned by Roboflow), in source pixels
+  box_x: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  box_y: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  box_width: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  box_height: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ['inference_result_id'] },
+    { fields: ['class_name'] }
+  ]
+});
+
 // Blink Statistics Model
 export const BlinkStat = sequelize.define('blink_stats', {
   id: {
@@ -203,6 +387,11 @@ export const SensorReading = sequelize.define('sensor_readings', {
     allowNull: true,
     index: true
   },
+  // Identifier the sensor board reports itself with, if any
+  device_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   timestamp: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -211,6 +400,7 @@ export const SensorReading = sequelize.define('sensor_readings', {
 }, {
   indexes: [
     { fields: ['session_id'] },
+    { fields: ['device_id'] },
     { fields: ['timestamp'] }
   ]
 });
@@ -323,6 +513,11 @@ export const User = sequelize.define('users', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // Access tokens issued before this time are rejected (logout everywhere)
+  tokens_valid_after: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -368,24 +563,99 @@ User.prototype.toJSON = function() {
   delete values.verification_token;
   delete values.reset_token;
   delete values.reset_token_expires;
+  delete values.tokens_valid_after;
   return values;
 };
 
+// Refresh Token Model - Rotating refresh tokens, stored hashed
+export const RefreshToken = sequelize.define('refresh_tokens', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family; reuse revokes the family
+  family_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Issued with "remember me": rotations keep the long lifetime
+  remember: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replaced_by_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { fields: ['token_hash'] },
+    { fields: ['user_id'] },
+    { fields: ['family_id'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
 // Define associations
 Frame.hasMany(InferenceResult, { foreignKey: 'frame_id', as: 'inferences' });
 InferenceResult.belongsTo(Frame, { foreignKey: 'frame_id', as: 'frame' });
 
+InferenceResult.hasMany(InferencePrediction, { foreignKey: 'inference_result_id', as: 'predictions' });
+InferencePrediction.belongsTo(InferenceResult, { foreignKey: 'inference_result_id', as: 'result' });
+
+Frame.hasMany(FrameAsset, { foreignKey: 'frame_id', as: 'assets' });
+FrameAsset.belongsTo(Frame, { foreignKey: 'frame_id', as: 'frame' });
+
 User.hasMany(Session, { foreignKey: 'user_id', as: 'sessions' });
 Session.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+User.hasMany(RefreshToken, { foreignKey: 'user_id', as: 'refreshTokens' });
+RefreshToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
 // Initialize database
 export const initializeDatabase = async () => {
   try {
     await sequelize.authenticate();
     console.log('[Database] Connection established successfully');
 
+    // Columns added to existing tables come from `npm run db:upgrade`, not sync
+    await Migrations.check(sequelize);
+
     // Sync models (use { force: true } to drop and recreate tables in development)
     await sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
+    await Migrations.recordAll(sequelize);
     console.log('[Database] Models synchronized');
 
     return true;
@@ -417,7 +687,7 @@ export const DatabaseHelpers = {
     };
   },
 
-  // Get recent inference results
+  // Get recent inference results (sessionId may be an ID or an array of IDs)
   async getRecentInferences(limit = 10, sessionId = null) {
     const whereClause = sessionId ? { '$frame.session_id$': sessionId } : {};
 
@@ -427,6 +697,11 @@ export const DatabaseHelpers = {
         model: Frame,
         as: 'frame',
         attributes: ['filename', 's3_key', 'session_id', 'uploaded_at']
+      }, {
+        model: InferencePrediction,
+        as: 'predictions',
+        separate: true,
+        order: [['source', 'ASC'], ['rank', 'ASC']]
       }],
       order: [['processed_at', 'DESC']],
       limit
@@ -473,11 +748,14 @@ export const DatabaseHelpers = {
 export { sequelize };
 export default {
   Frame,
+  FrameAsset,
   InferenceResult,
+  InferencePrediction,
   BlinkStat,
   SensorReading,
   Session,
   User,
+  RefreshToken,
   sequelize,
   initializeDatabase,
   DatabaseHelpers
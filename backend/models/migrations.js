@@ -0,0 +1,250 @@
+import { QueryTypes } from 'sequelize';
+
+// Schema changes to tables that existed before the models grew new columns.
+// `sequelize.sync()` creates missing tables but never alters existing ones
+// outside development, so every column added to an existing table is listed
+// here and applied by `npm run db:upgrade` (scripts/upgrade-database.js).
+//
+// Applied migrations are recorded in schema_migrations. A migration whose
+// tables do not exist yet has nothing to do: sync creates them complete, and
+// initializeDatabase records it as applied afterwards. The API refuses to start
+// while a migration is pending.
+//
+// Each `up(run)` gets `run(sql)`, which executes in the upgrade transaction and
+// returns the affected row count; `up` may return counts to report.
+
+const TABLE = 'schema_migrations';
+
+// Serializes upgrades and startup checks across processes
+const LOCK_ID = 72051931;
+
+// Thrown to roll back a dry run
+const DRY_RUN = Symbol('dry run');
+
+const addColumns = (table, columns) => Object.entries(columns)
+  .map(([name, type]) => `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${name} ${type}`);
+
+// Index names match the ones sync generates, so sync sees them as present
+const addIndex = (table, fields, { unique = false } = {}) =>
+  `CREATE ${unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${table}_${fields.join('_')} ON ${table} (${fields.join(', ')})`;
+
+// Per-model columns of a legacy inference_results row, for one of its models.
+// The old worker stored failures as label 'ERROR' on both models.
+const LEGACY_RESULT_COLUMNS = 'model_name, model_id, model_version, provider, status, label, confidence, raw_response, error';
+const legacyResult = (name, modelId, version) => `
+  '${name}', '${modelId}', '${version}', 'roboflow',
+  CASE WHEN ${name}_label = 'ERROR' THEN 'failed' ELSE 'completed' END,
+  NULLIF(${name}_label, 'ERROR'), ${name}_confidence, '{}'::jsonb,
+  CASE WHEN ${name}_label = 'ERROR' THEN 'Inference failed' END
+`;
+
+const runAll = async (run, statements) => {
+  for (const sql of statements) await run(sql);
+};
+
+export const MIGRATIONS = [
+  {
+    id: '008-users-tokens-valid-after',
+    tables: ['users'],
+    up: (run) => runAll(run, addColumns('users', {
+      tokens_valid_after: 'TIMESTAMP WITH TIME ZONE'
+    }))
+  },
+  {
+    // Tokens issued before the flag existed are "remember me" if they were
+    // issued for longer than the default lifetime (same default as TokenService)
+    id: '008-refresh-tokens-remember',
+    tables: ['refresh_tokens'],
+    up: (run) => runAll(run, [
+      ...addColumns('refresh_tokens', {
+        remember: 'BOOLEAN NOT NULL DEFAULT false'
+      }),
+      `UPDATE refresh_tokens SET remember = true
+       WHERE expires_at - created_at > INTERVAL '${parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7')} days'`
+    ])
+  },
+  {
+    id: '015-frames-pipeline',
+    tables: ['frames'],
+    up: (run) => runAll(run, [
+      // Frames stored before the frame worker were processed on upload
+      ...addColumns('frames', {
+        status: "VARCHAR(20) DEFAULT 'ready'",
+        raw_s3_key: 'VARCHAR(500)',
+        width: 'INTEGER',
+        height: 'INTEGER',
+        captured_at: 'TIMESTAMP WITH TIME ZONE',
+        metadata: 'JSONB'
+      }),
+      addIndex('frames', ['status'])
+    ])
+  },
+  {
+    // One row per frame and model run. Rows from before hold both models in the
+    // legacy emotion_* / redness_* columns and become one row per model, with
+    // the model IDs the old pipeline used.
+    id: '017-inference-results-per-model',
+    tables: ['inference_results'],
+    up: async (run) => {
+      await runAll(run, addColumns('inference_results', {
+        model_name: 'VARCHAR(50)',
+        model_id: 'VARCHAR(100)',
+        model_version: 'VARCHAR(50)',
+        provider: 'VARCHAR(20)',
+        status: "VARCHAR(20) DEFAULT 'completed'",
+        label: 'VARCHAR(100)',
+        confidence: 'FLOAT',
+        raw_response: 'JSONB',
+        error: 'TEXT'
+      }));
+
+      const redness = await run(`
+        INSERT INTO inference_results (frame_id, ${LEGACY_RESULT_COLUMNS}, processing_time_ms, processed_at, created_at, updated_at)
+        SELECT frame_id, ${legacyResult('redness', 'redness-of-eyes-aju4x', '1')}, processing_time_ms, processed_at, created_at, updated_at
+        FROM inference_results
+        WHERE model_name IS NULL
+      `);
+      const emotion = await run(`
+        UPDATE inference_results
+        SET (${LEGACY_RESULT_COLUMNS}) = (SELECT ${legacyResult('emotion', 'emotion-esmd2', '2')})
+        WHERE model_name IS NULL
+      `);
+
+      return { emotion, redness };
+    }
+  },
+  {
+    // Older workers wrote every frame twice (once from InferenceService, once
+    // from the worker) and added a failure row on every retry. Keep one row per
+    // frame + model, model ID and version, a completed result over a failed one, newest
+    // first, then add the unique index InferenceService.saveResult relies on.
+    id: '018-inference-results-unique',
+    tables: ['inference_results'],
+    up: async (run) => {
+      // inference_predictions rows go with their result (ON DELETE CASCADE)
+      const duplicates = await run(`
+        DELETE FROM inference_results WHERE id IN (
+          SELECT id FROM (
+            SELECT id, ROW_NUMBER() OVER (
+              PARTITION BY frame_id, model_name, model_id, model_version
+              ORDER BY (status = 'completed') DESC, processed_at DESC, id DESC
+            ) AS position
+            FROM inference_results
+          ) ranked
+          WHERE position > 1
+        )
+      `);
+
+      await runAll(run, [
+        addIndex('inference_results', ['frame_id', 'model_name', 'model_id', 'model_version'], { unique: true }),
+        addIndex('inference_results', ['model_name', 'model_version']),
+        addIndex('inference_results', ['label'])
+      ]);
+
+      return { duplicates };
+    }
+  },
+  {
+    id: '025-sensor-readings-device-id',
+    tables: ['sensor_readings'],
+    up: (run) => runAll(run, [
+      ...addColumns('sensor_readings', {
+        device_id: 'VARCHAR(100)'
+      }),
+      addIndex('sensor_readings', ['device_id'])
+    ])
+  }
+];
+
+const tableExists = async (sequelize, table, transaction) => {
+  const [{ exists }] = await sequelize.query(
+    'SELECT to_regclass(:table) IS NOT NULL AS "exists"',
+    { replacements: { table }, type: QueryTypes.SELECT, transaction }
+  );
+  return exists;
+};
+
+const ensureTable = (sequelize, transaction) => sequelize.query(
+  `CREATE TABLE IF NOT EXISTS ${TABLE} (id VARCHAR(100) PRIMARY KEY, applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW())`,
+  { transaction }
+);
+
+const appliedIds = async (sequelize, transaction) => {
+  const rows = await sequelize.query(`SELECT id FROM ${TABLE}`, { type: QueryTypes.SELECT, transaction });
+  return new Set(rows.map(row => row.id));
+};
+
+// Run `work(transaction)` in a transaction holding the migration lock
+const withLock = (sequelize, work) => sequelize.transaction(async (transaction) => {
+  await sequelize.query('SELECT pg_advisory_xact_lock(:id)', { replacements: { id: LOCK_ID }, transaction });
+  await ensureTable(sequelize, transaction);
+  return await work(transaction);
+});
+
+export const Migrations = {
+  // Unapplied migrations whose tables exist
+  async pending(sequelize, transaction) {
+    const applied = await appliedIds(sequelize, transaction);
+    const pending = [];
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.id)) continue;
+      const existing = await Promise.all(migration.tables.map(table => tableExists(sequelize, table, transaction)));
+      if (existing.some(Boolean)) pending.push(migration);
+    }
+
+    return pending;
+  },
+
+  // Apply pending migrations in order, all or nothing. A dry run rolls back
+  // afterwards, so its counts are exact. Returns [{ id, result }].
+  async run(sequelize, { dryRun = false } = {}) {
+    const applied = [];
+
+    try {
+      await withLock(sequelize, async (transaction) => {
+        const run = async (sql) => {
+          const [, metadata] = await sequelize.query(sql, { transaction });
+          return metadata?.rowCount ?? 0;
+        };
+
+        for (const migration of await this.pending(sequelize, transaction)) {
+          const result = await migration.up(run);
+          await sequelize.query(`INSERT INTO ${TABLE} (id) VALUES (:id)`, {
+            replacements: { id: migration.id },
+            transaction
+          });
+          applied.push({ id: migration.id, result: result ?? null });
+        }
+
+        if (dryRun) throw DRY_RUN;
+      });
+    } catch (error) {
+      if (error !== DRY_RUN) throw error;
+    }
+
+    return applied;
+  },
+
+  // Throw if the schema is behind the models
+  async check(sequelize) {
+    const pending = await withLock(sequelize, (transaction) => this.pending(sequelize, transaction));
+    if (pending.length > 0) {
+      throw new Error(`Database schema is out of date (${pending.map(m => m.id).join(', ')}); run npm run db:upgrade`);
+    }
+  },
+
+  // After sync created any missing tables, everything listed is in place
+  async recordAll(sequelize) {
+    await withLock(sequelize, async (transaction) => {
+      for (const migration of MIGRATIONS) {
+        await sequelize.query(`INSERT INTO ${TABLE} (id) VALUES (:id) ON CONFLICT (id) DO NOTHING`, {
+          replacements: { id: migration.id },
+          transaction
+        });
+      }
+    });
+  }
+};
+
+export default Migrations;
@@ -1,25 +1,81 @@
-import { Queue, Worker } from 'bullmq';
+import { Queue, Worker, FlowProducer } from 'bullmq';
 import { createRedisConnection } from '../config/redis.js';
 
 const connection = createRedisConnection();
 
 export const frameQueue = new Queue('frame-processing', { connection });
 export const inferenceQueue = new Queue('inference-processing', { connection });
+export const frameFlow = new FlowProducer({ connection });
+
+// Unlike queues, an unhandled flow producer 'error' (e.g. Redis down) crashes the process
+frameFlow.on('error', (error) => {
+  console.error('[Queue] Flow producer error:', error.message);
+});
+
+const FRAME_JOB_OPTIONS = {
+  attempts: 3,
+  backoff: {
+    type: 'exponential',
+    delay: 2000
+  },
+  removeOnComplete: 100,
+  removeOnFail: 50
+};
+
+const INFERENCE_JOB_OPTIONS = {
+  attempts: 2,
+  backoff: {
+    type: 'fixed',
+    delay: 5000
+  },
+  removeOnComplete: 100,
+  removeOnFail: 50
+};
 
 export const addFrameJob = async (data) => {
-  return await frameQueue.add('process-frame', data, {
-    attempts: 3,
-    backoff: {
-      type: 'exponential',
-      delay: 2000
-    },
+  return await frameQueue.add('process-frame', data, FRAME_JOB_OPTIONS);
+};
+
+export const addInferenceJob = async (data) => {
+  return await inferenceQueue.add('run-inference', data, INFERENCE_JOB_OPTIONS);
+};
+
+// Raw upload -> frame-processing -> inference-processing. The inference job is
+// the flow parent, so it only runs once preprocessing has finished, and reads
+// the processed frame from its child's return value.
+export const addFrameFlow = async (data) => {
+  return await frameFlow.add({
+    name: 'run-inference',
+    queueName: 'inference-processing',
+    data: { frameId: data.frameId, sessionId: data.sessionId },
+    opts: INFERENCE_JOB_OPTIONS,
+    children: [{
+      name: 'process-frame',
+      queueName: 'frame-processing',
+      data,
+      opts: {
+        ...FRAME_JOB_OPTIONS,
+        failParentOnFailure: true
+      }
+    }]
+  });
+};
+
+export const blinkQueue = new Queue('blink-detection', { connection });
+
+export const addBlinkJob = async (data) => {
+  return await blinkQueue.add('detect-blink', data, {
+    attempts: 1, // A late blink sample is worse than a missing one
     removeOnComplete: 100,
     removeOnFail: 50
   });
 };
 
-export const addInferenceJob = async (data) => {
-  return await inferenceQueue.add('run-inference', data, {
+// On-demand blink/EAR analysis and model re-runs over stored frames
+export const analysisQueue = new Queue('frame-analysis', { connection });
+
+export const addAnalysisJob = async (data) => {
+  return await analysisQueue.add('analyze-frames', data, {
     attempts: 2,
     backoff: {
       type: 'fixed',
@@ -29,3 +85,37 @@ export const addInferenceJob = async (data) => {
     removeOnFail: 50
   });
 };
+
+export const emailQueue = new Queue('email-delivery', { connection });
+
+export const addEmailJob = async (data) => {
+  return await emailQueue.add('send-email', data, {
+    attempts: 5,
+    backoff: {
+      type: 'exponential',
+      delay: 10000 // SMTP outages tend to last longer than a frame retry
+    },
+    removeOnComplete: 100,
+    removeOnFail: 100
+  });
+};
+
+// Jobs that ran out of attempts, moved here by the workers (see DeadLetterService).
+// Nothing consumes this queue: entries wait until an admin retries or discards them.
+export const deadLetterQueue = new Queue('dead-letter', { connection });
+
+export const addDeadLetterJob = async (queueName, entry, jobId) => {
+  return await deadLetterQueue.add(queueName, entry, {
+    jobId, // one entry per failed job, even if it is reported twice
+    removeOnComplete: true
+  });
+};
+
+// Queues whose failed jobs can be retried from the dead-letter queue
+export const queues = {
+  [frameQueue.name]: frameQueue,
+  [inferenceQueue.name]: inferenceQueue,
+  [blinkQueue.name]: blinkQueue,
+  [analysisQueue.name]: analysisQueue,
+  [emailQueue.name]: emailQueue
+};
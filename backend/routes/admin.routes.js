@@ -0,0 +1,336 @@
+import express from 'express';
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import {
+  User,
+  Session,
+  Frame,
+  FrameAsset,
+  BlinkStat,
+  SensorReading,
+  sequelize
+} from '../models/database.models.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { deleteObject } from '../config/s3.js';
+import { TokenService } from '../services/token.service.js';
+import { MailerService } from '../services/mailer.service.js';
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+const MAX_PAGE_SIZE = 100;
+const ROLES = ['user', 'admin'];
+
+// Case-insensitive substring match where % and _ in the search are literal
+const LIKE_ESCAPE = '!';
+const containsIgnoringCase = (column, search) => {
+  const pattern = `%${String(search).replace(/[!%_]/g, `${LIKE_ESCAPE}$&`)}%`;
+  return sequelize.where(
+    sequelize.col(column),
+    Op.iLike,
+    sequelize.literal(`${sequelize.escape(pattern)} ESCAPE '${LIKE_ESCAPE}'`)
+  );
+};
+
+// Load the target user for /users/:id routes
+const loadUser = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('[Admin] Load user error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to load user'
+    });
+  }
+};
+
+// Admins can't lock themselves out
+const forbidSelf = (req, res, next) => {
+  if (req.targetUser.id === req.user.id) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'You cannot perform this action on your own account'
+    });
+  }
+  next();
+};
+
+// ==================== LIST / SEARCH USERS ====================
+router.get('/users', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+    const { search, role, active } = req.query;
+
+    const where = {};
+
+    if (search) {
+      where[Op.or] = [
+        containsIgnoringCase('email', search),
+        containsIgnoringCase('name', search)
+      ];
+    }
+
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      where.role = role;
+    }
+
+    if (active !== undefined) {
+      where.is_active = active === 'true';
+    }
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users: rows.map(user => user.toJSON()),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('[Admin] List users error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list users'
+    });
+  }
+});
+
+// ==================== GET USER WITH SESSIONS ====================
+router.get('/users/:id', loadUser, async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: { user_id: req.targetUser.id },
+      order: [['started_at', 'DESC']],
+      limit: Math.min(MAX_PAGE_SIZE, parseInt(req.query.sessionLimit) || 50)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: req.targetUser.toJSON(),
+        sessions
+      }
+    });
+
+  } catch (error) {
+    console.error('[Admin] Get user error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get user'
+    });
+  }
+});
+
+// ==================== ACTIVATE / DEACTIVATE ====================
+router.patch('/users/:id/status', loadUser, forbidSelf, async (req, res) => {
+  try {
+    const { is_active } = req.body;
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'is_active must be a boolean'
+      });
+    }
+
+    await req.targetUser.update({ is_active });
+
+    if (!is_active) {
+      await TokenService.revokeAllForUser(req.targetUser.id);
+    }
+
+    console.log(`[Admin] User ${req.targetUser.id} ${is_active ? 'activated' : 'deactivated'} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `User ${is_active ? 'activated' : 'deactivated'} successfully`,
+      data: {
+        user: req.targetUser.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('[Admin] Update status error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update user status'
+    });
+  }
+});
+
+// ==================== CHANGE ROLE ====================
+router.patch('/users/:id/role', loadUser, forbidSelf, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    await req.targetUser.update({ role });
+
+    console.log(`[Admin] User ${req.targetUser.id} role set to ${role} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        user: req.targetUser.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('[Admin] Update role error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update user role'
+    });
+  }
+});
+
+// ==================== FORCE PASSWORD RESET ====================
+router.post('/users/:id/force-password-reset', loadUser, forbidSelf, async (req, res) => {
+  try {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetTokenExpires = new Date(Date.now() + 24 * 3600000); // 24 hours
+
+    // Replace the password with a random one so the old password stops working
+    await req.targetUser.update({
+      password: crypto.randomBytes(32).toString('hex'),
+      reset_token: resetToken,
+      reset_token_expires: resetTokenExpires
+    });
+    await TokenService.revokeAllForUser(req.targetUser.id);
+
+    await MailerService.sendPasswordReset(req.targetUser, resetToken, {
+      expiresInHours: 24,
+      forcedByAdmin: true
+    });
+    console.log(`[Admin] Forced password reset for user ${req.targetUser.id} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset forced. The user must set a new password before logging in.'
+    });
+
+  } catch (error) {
+    console.error('[Admin] Force password reset error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to force password reset'
+    });
+  }
+});
+
+// ==================== DELETE USER ====================
+router.delete('/users/:id', loadUser, forbidSelf, async (req, res) => {
+  try {
+    const userId = req.targetUser.id;
+
+    // sessions.user_id is ON DELETE SET NULL, so remove the user's data explicitly
+    const { deleted, s3Keys } = await sequelize.transaction(async (transaction) => {
+      const sessions = await Session.findAll({
+        where: { user_id: userId },
+        attributes: ['session_id'],
+        transaction
+      });
+      const sessionIds = sessions.map(s => s.session_id);
+
+      const frames = await Frame.findAll({
+        where: { session_id: sessionIds },
+        attributes: ['id', 's3_key', 'raw_s3_key'],
+        transaction
+      });
+      const assets = await FrameAsset.findAll({
+        where: { frame_id: frames.map(f => f.id) },
+        attributes: ['s3_key'],
+        transaction
+      });
+
+      // Inference results and frame assets cascade from frames
+      const framesDeleted = await Frame.destroy({ where: { session_id: sessionIds }, transaction });
+      const blinksDeleted = await BlinkStat.destroy({ where: { session_id: sessionIds }, transaction });
+      const sensorsDeleted = await SensorReading.destroy({ where: { session_id: sessionIds }, transaction });
+
+      const sessionsDeleted = await Session.destroy({ where: { user_id: userId }, transaction });
+      await req.targetUser.destroy({ transaction });
+
+      return {
+        deleted: {
+          sessions: sessionsDeleted,
+          frames: framesDeleted,
+          blinkStats: blinksDeleted,
+          sensorReadings: sensorsDeleted
+        },
+        // s3_key and raw_s3_key are the same object until a frame is processed
+        s3Keys: [...new Set([
+          ...frames.flatMap(f => [f.s3_key, f.raw_s3_key]),
+          ...assets.map(a => a.s3_key)
+        ])].filter(Boolean)
+      };
+    });
+
+    // Stored images go after the commit; a failed delete only leaves an orphan object
+    let objectsDeleted = 0;
+    for (const key of s3Keys) {
+      if (await deleteObject(key)) objectsDeleted++;
+    }
+
+    console.log(`[Admin] User ${userId} deleted by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      data: {
+        deleted: {
+          ...deleted,
+          objects: objectsDeleted
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('[Admin] Delete user error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete user'
+    });
+  }
+});
+
+export default router;
@@ -2,14 +2,35 @@ import express from 'express';
 import { User } from '../models/database.models.js';
 import { 
   generateToken, 
+  getTokenExpiresIn,
   authenticate, 
   rateLimitLogin,
   resetLoginAttempts 
 } from '../middleware/auth.middleware.js';
+import { TokenService } from '../services/token.service.js';
+import { MailerService } from '../services/mailer.service.js';
+import { Op } from 'sequelize';
 import crypto from 'crypto';
 
 const router = express.Router();
 
+// Access + refresh token pair returned by login, register and refresh
+const issueTokens = async (req, user, { familyId, remember } = {}) => {
+  const token = generateToken(user);
+  const { token: refreshToken } = await TokenService.issueRefreshToken(user, {
+    familyId,
+    remember,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: getTokenExpiresIn(token)
+  };
+};
+
 // ==================== REGISTER ====================
 router.post('/register', async (req, res) => {
   try {
@@ -52,8 +73,10 @@ router.post('/register', async (req, res) => {
       is_verified: false // Set to true if you don't want email verification
     });
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(req, user);
+
+    await MailerService.sendVerification(user, verificationToken);
 
     // Send response
     res.status(201).json({
@@ -61,13 +84,10 @@ router.post('/register', async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
 
-    // TODO: Send verification email
-    console.log(`[Auth] Verification link: /api/auth/verify/${verificationToken}`);
-
   } catch (error) {
     console.error('[Auth] Registration error:', error);
     res.status(500).json({ 
@@ -126,15 +146,15 @@ router.post('/login', rateLimitLogin, async (req, res) => {
     // Update last login
     await user.update({ last_login: new Date() });
 
-    // Generate JWT token (longer expiry if remember me)
-    const token = generateToken(user);
+    // Generate access and refresh tokens (longer-lived refresh token if remember me)
+    const tokens = await issueTokens(req, user, { remember: Boolean(remember || req.body.rememberMe) });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
 
@@ -180,7 +200,7 @@ router.put('/profile', authenticate, async (req, res) => {
       const existingUser = await User.findOne({ 
         where: { 
           email: email.toLowerCase(),
-          id: { [User.sequelize.Op.ne]: req.user.id }
+          id: { [Op.ne]: req.user.id }
         } 
       });
 
@@ -191,12 +211,22 @@ router.put('/profile', authenticate, async (req, res) => {
         });
       }
 
-      updates.email = email.toLowerCase();
-      updates.is_verified = false; // Require re-verification
+      if (email.toLowerCase() !== req.user.email) {
+        updates.email = email.toLowerCase();
+        updates.is_verified = false; // Require re-verification
+        updates.verification_token = crypto.randomBytes(32).toString('hex');
+      }
     }
 
+    const previousEmail = req.user.email;
     await req.user.update(updates);
 
+    if (updates.email) {
+      await MailerService.sendEmailChange(req.user, updates.verification_token, previousEmail);
+      // Let the previous owner know in case the account was taken over
+      await MailerService.sendEmailChangedNotice(req.user, previousEmail);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -294,8 +324,7 @@ router.post('/forgot-password', async (req, res) => {
       reset_token_expires: resetTokenExpires
     });
 
-    // TODO: Send password reset email
-    console.log(`[Auth] Password reset link: /api/auth/reset-password/${resetToken}`);
+    await MailerService.sendPasswordReset(user, resetToken);
 
     res.json({
       success: true,
@@ -335,7 +364,7 @@ router.post('/reset-password/:token', async (req, res) => {
     const user = await User.findOne({
       where: {
         reset_token: token,
-        reset_token_expires: { [User.sequelize.Op.gt]: new Date() }
+        reset_token_expires: { [Op.gt]: new Date() }
       }
     });
 
@@ -353,6 +382,9 @@ router.post('/reset-password/:token', async (req, res) => {
       reset_token_expires: null
     });
 
+    // Sign out every device that used the old password
+    await TokenService.revokeAllForUser(user.id);
+
     res.json({
       success: true,
       message: 'Password reset successfully'
@@ -405,8 +437,9 @@ router.get('/verify/:token', async (req, res) => {
 // ==================== LOGOUT ====================
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    // With JWT, logout is handled client-side by removing the token
-    // You could implement token blacklisting here if needed
+    // Revoke this access token and the refresh token chain it was issued with
+    await TokenService.revokeAccessToken(req.token);
+    await TokenService.revokeRefreshToken(req.body.refreshToken);
     
     res.json({
       success: true,
@@ -421,16 +454,50 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// ==================== LOGOUT EVERYWHERE ====================
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await TokenService.revokeAllForUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('[Auth] Logout all error:', error);
+    res.status(500).json({ 
+      error: 'Internal Server Error',
+      message: 'Logout failed' 
+    });
+  }
+});
+
 // ==================== REFRESH TOKEN ====================
-router.post('/refresh', authenticate, async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    // Generate new token
-    const token = generateToken(req.user);
+    const { refreshToken } = req.body;
+
+    // Rotate: the presented refresh token is spent, a new one comes back
+    const { user, token, remember, error } = await TokenService.rotateRefreshToken(refreshToken, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    if (error) {
+      return res.status(401).json({ 
+        error: 'Unauthorized',
+        message: error 
+      });
+    }
+
+    const accessToken = generateToken(user);
 
     res.json({
       success: true,
       data: {
-        token
+        token: accessToken,
+        refreshToken: token,
+        expiresIn: getTokenExpiresIn(accessToken)
       }
     });
   } catch (error) {
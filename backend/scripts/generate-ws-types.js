@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  PROTOCOL_VERSIONS
+} from '../services/message.protocol.js';
+
+// Writes the WebSocket message types for the React client from the schemas in
+// services/message.protocol.js. Run after changing a message.
+//
+// Usage: node scripts/generate-ws-types.js [--check]
+//   --check  exit with 1 if the file is out of date instead of writing it
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT = path.join(__dirname, '..', '..', 'frontend-react', 'src', 'types', 'ws-messages.ts');
+const CHECK = process.argv.includes('--check');
+
+const INDENT = '  ';
+
+// 'request_blink_detection' -> 'RequestBlinkDetection'
+const pascalCase = (value) => value.split('_').map(part => part[0].toUpperCase() + part.slice(1)).join('');
+
+const quote = (value) => `'${String(value).replace(/'/g, "\\'")}'`;
+
+const comment = (text, indent = '') => (text ? `${indent}/** ${text} */\n` : '');
+
+// Named schemas are emitted once, in the order they are first seen
+const namedTypes = new Map(); // Map<name, source>
+
+function renderType(schema, depth = 0) {
+  if (schema.name) {
+    if (!namedTypes.has(schema.name)) {
+      namedTypes.set(schema.name, null); // reserve the slot before recursing
+      const { name, ...inner } = schema;
+      namedTypes.set(name, renderType(inner, 0));
+    }
+    return schema.nullable ? `${schema.name} | null` : schema.name;
+  }
+
+  let type;
+  switch (schema.type) {
+    case 'string':
+      type = schema.enum ? schema.enum.map(quote).join(' | ') : 'string';
+      break;
+    case 'integer':
+    case 'number':
+      type = 'number';
+      break;
+    case 'boolean':
+      type = 'boolean';
+      break;
+    case 'array': {
+      const items = renderType(schema.items, depth);
+      type = /[|&]/.test(items) && !items.startsWith('{') ? `(${items})[]` : `${items}[]`;
+      break;
+    }
+    case 'record':
+      type = `Record<string, ${renderType(schema.values, depth)}>`;
+      break;
+    case 'oneOf':
+      type = schema.schemas.map(option => renderType(option, depth)).join(' | ');
+      break;
+    case 'object':
+      type = renderObject(schema, depth);
+      break;
+    default:
+      type = 'unknown';
+  }
+
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function renderObject(schema, depth, extra = []) {
+  const indent = INDENT.repeat(depth + 1);
+  const lines = [
+    ...extra.map(line => `${indent}${line}`),
+    ...Object.entries(schema.properties).map(([key, property]) => {
+      const optional = schema.required.includes(key) ? '' : '?';
+      return `${comment(property.description, indent)}${indent}${key}${optional}: ${renderType(property, depth + 1)};`;
+    })
+  ];
+  return lines.length > 0 ? `{\n${lines.join('\n')}\n${INDENT.repeat(depth)}}` : '{}';
+}
+
+function render() {
+  const clientTypes = Object.entries(CLIENT_MESSAGES).map(([type, { description, data, replies }]) => {
+    const name = `Client${pascalCase(type)}Message`;
+    const lines = [`type: ${quote(type)};`, 'id?: string | number;'];
+    if (data) {
+      lines.push(`data${data.nullable ? '?' : ''}: ${renderType(data, 1)};`);
+    }
+    const body = lines.map(line => `${INDENT}${line}`).join('\n');
+    const doc = `${description}. Replies: ${replies.join(', ')}`;
+    return { name, source: `${comment(doc)}export interface ${name} {\n${body}\n}` };
+  });
+
+  const serverTypes = Object.entries(SERVER_MESSAGES).map(([type, { description, fields }]) => {
+    const name = `Server${pascalCase(type)}Message`;
+    const body = renderObject(fields, 0, [`type: ${quote(type)};`, 'replyTo?: string | number;']);
+    return { name, source: `${comment(description)}export interface ${name} ${body}` };
+  });
+
+  const errorCodes = Object.entries(ERROR_CODES)
+    .map(([code, description]) => `${INDENT}/** ${description} */\n${INDENT}${code}: ${quote(code)}`)
+    .join(',\n');
+
+  const named = [...namedTypes.entries()].map(([name, source]) => `export type ${name} = ${source};`);
+
+  return [
+    '// Generated by backend/scripts/generate-ws-types.js from',
+    '// backend/services/message.protocol.js. Do not edit by hand; run',
+    '// `npm run ws:types` in backend/ after changing a message.',
+    '',
+    `export const PROTOCOL_VERSION = ${PROTOCOL_VERSION};`,
+    `export const PROTOCOL_VERSIONS = [${PROTOCOL_VERSIONS.join(', ')}] as const;`,
+    '',
+    `export const WS_ERROR_CODES = {\n${errorCodes}\n} as const;`,
+    '',
+    'export type WsErrorCode = keyof typeof WS_ERROR_CODES;',
+    '',
+    ...named.flatMap(source => [source, '']),
+    '// ==================== CLIENT -> SERVER ====================',
+    '',
+    ...clientTypes.flatMap(({ source }) => [source, '']),
+    `export type ClientMessage =\n${clientTypes.map(({ name }) => `${INDENT}| ${name}`).join('\n')};`,
+    '',
+    "export type ClientMessageType = ClientMessage['type'];",
+    '',
+    '// ==================== SERVER -> CLIENT ====================',
+    '',
+    ...serverTypes.flatMap(({ source }) => [source, '']),
+    `export type ServerMessage =\n${serverTypes.map(({ name }) => `${INDENT}| ${name}`).join('\n')};`,
+    '',
+    "export type ServerMessageType = ServerMessage['type'];",
+    '',
+    'export type ServerMessageOf<T extends ServerMessageType> = Extract<ServerMessage, { type: T }>;',
+    ''
+  ].join('\n');
+}
+
+const source = render();
+
+if (CHECK) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : null;
+  if (current !== source) {
+    console.error(`[WsTypes] ${path.relative(process.cwd(), OUTPUT)} is out of date; run npm run ws:types`);
+    process.exit(1);
+  }
+  console.log('[WsTypes] Up to date');
+} else {
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, source);
+  console.log(`[WsTypes] Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
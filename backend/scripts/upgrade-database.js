@@ -0,0 +1,33 @@
+import { sequelize } from '../models/database.models.js';
+import { Migrations } from '../models/migrations.js';
+
+// Brings an existing database up to the current models: adds the columns the
+// models gained since its tables were created (models/migrations.js). The API
+// does not start until this has run.
+//
+// Usage: node scripts/upgrade-database.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function upgrade() {
+  await sequelize.authenticate();
+
+  const applied = await Migrations.run(sequelize, { dryRun: DRY_RUN });
+
+  if (applied.length === 0) {
+    console.log('[Upgrade] Database is up to date');
+    return;
+  }
+
+  for (const { id, result } of applied) {
+    console.log(`[Upgrade] ${DRY_RUN ? 'Would apply' : 'Applied'} ${id}`, result ?? '');
+  }
+}
+
+upgrade()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('[Upgrade] Failed:', error.message);
+    await sequelize.close();
+    process.exit(1);
+  });
@@ -0,0 +1,408 @@
+import { redisPub } from '../config/redis.js';
+import { BlinkStat, Session, sequelize } from '../models/database.models.js';
+import { FaceService } from './face.service.js';
+import { SessionPresence } from './session-presence.service.js';
+
+const STATE_TTL = 60 * 60; // seconds, per-session eye state expires after an hour idle
+const CALIBRATION_SAMPLES = 15;
+const THRESHOLD_RATIO = 0.75; // eye counts as closed below 75% of the calibrated baseline
+const MIN_CLOSED_FRAMES = 1; // server-side frames arrive ~5/s, a blink rarely spans more than one
+const REFRACTORY_PERIOD = 200; // ms
+
+const MAX_BATCH_SIZE = 500; // entries per ingestion request
+const MAX_CLOCK_SKEW = 60 * 1000; // ms a client timestamp may run ahead of the server
+const RATE_STATUSES = ['Low', 'Normal', 'High', 'Unknown'];
+
+// On-demand analysis stores one EAR result per frame as an inference_results row
+export const EAR_MODEL = { name: 'blink', id: 'ear', version: '1' };
+
+const stateKey = (sessionId) => `blink-state:${sessionId}`;
+
+// Blink workers may run several frames of a session at once (BLINK_CONCURRENCY,
+// more than one worker process), so the state is written with a compare-and-set
+// and the update runs again on a conflict.
+// KEYS: state. ARGV: state the update started from ('' if none), new state, ttl
+const SAVE_IF_UNCHANGED_SCRIPT = `
+local current = redis.call('GET', KEYS[1]) or ''
+if current ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`;
+const MAX_STATE_ATTEMPTS = 10;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export const getRateStatus = (bpm) => {
+  if (bpm < 10) return 'Low';
+  if (bpm > 20) return 'High';
+  return 'Normal';
+};
+
+export class BlinkService {
+  // Estimate an eye aspect ratio from the vertical extent of the dark iris/lid
+  // region inside the eye crop. MediaPipe's short-range detector only gives eye
+  // centres, so this stands in for the landmark-based EAR the browser computes.
+  static eyeOpenness({ data, width, height }) {
+    const count = width * height;
+    let sum = 0;
+    for (let i = 0; i < count; i++) sum += data[i];
+    const mean = sum / count;
+
+    let variance = 0;
+    for (let i = 0; i < count; i++) variance += (data[i] - mean) ** 2;
+    const cutoff = mean - 0.5 * Math.sqrt(variance / count);
+
+    let openRows = 0;
+    for (let y = 0; y < height; y++) {
+      let dark = 0;
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] < cutoff) dark++;
+      }
+      if (dark / width > 0.1) openRows++;
+    }
+
+    return openRows / width;
+  }
+
+  // Returns { ear, leftEAR, rightEAR, face } or null when no face/eyes are found
+  static async estimateEAR(buffer) {
+    const face = await FaceService.detect(buffer);
+    if (!face || !face.leftEye || !face.rightEye) return null;
+
+    const leftRegion = FaceService.eyeRegion(face, face.leftEye);
+    const rightRegion = FaceService.eyeRegion(face, face.rightEye);
+    if (!leftRegion || !rightRegion) return null;
+
+    const [left, right] = await Promise.all([
+      FaceService.extractGrey(buffer, leftRegion),
+      FaceService.extractGrey(buffer, rightRegion)
+    ]);
+
+    const leftEAR = this.eyeOpenness(left);
+    const rightEAR = this.eyeOpenness(right);
+
+    return { ear: (leftEAR + rightEAR) / 2, leftEAR, rightEAR, face };
+  }
+
+  static async getState(sessionId) {
+    return this.parseState(await redisPub.get(stateKey(sessionId)));
+  }
+
+  static parseState(raw) {
+    return raw ? JSON.parse(raw) : {
+      totalBlinks: 0,
+      blinkHistory: [],
+      lastBlinkTime: 0,
+      closedFrames: 0,
+      calibration: [],
+      baseline: null,
+      threshold: null,
+      lastTimestamp: 0,
+      startedAt: null
+    };
+  }
+
+  // Apply `update(state)` atomically. It changes the state in place and returns
+  // the result, or null to leave the state alone; it may run more than once.
+  static async updateState(sessionId, update) {
+    const key = stateKey(sessionId);
+
+    for (let attempt = 1; attempt <= MAX_STATE_ATTEMPTS; attempt++) {
+      const raw = await redisPub.get(key);
+      const state = this.parseState(raw);
+      const result = update(state);
+      if (result === null) return null;
+
+      const saved = await redisPub.eval(SAVE_IF_UNCHANGED_SCRIPT, 1, key, raw ?? '', JSON.stringify(state), STATE_TTL);
+      if (saved === 1) return result;
+    }
+
+    throw new Error(`Blink state of session ${sessionId} kept changing, gave up after ${MAX_STATE_ATTEMPTS} attempts`);
+  }
+
+  // Feed one EAR sample into the session's eye state machine.
+  // Returns { stats, blinkDetected }, or null for out-of-order samples.
+  static async trackEAR(sessionId, ear, timestamp) {
+    return await this.updateState(sessionId, (state) => this.stepEAR(state, ear, timestamp));
+  }
+
+  static stepEAR(state, ear, timestamp) {
+    // Workers may finish frames out of order; only move forward in time
+    if (timestamp <= state.lastTimestamp) return null;
+    state.lastTimestamp = timestamp;
+    state.startedAt = state.startedAt || timestamp;
+
+    let blinkDetected = false;
+
+    if (state.calibration.length < CALIBRATION_SAMPLES) {
+      // Calibration phase: collect baseline EAR
+      state.calibration.push(ear);
+      if (state.calibration.length === CALIBRATION_SAMPLES) {
+        state.baseline = state.calibration.reduce((a, b) => a + b) / CALIBRATION_SAMPLES;
+        state.threshold = state.baseline * THRESHOLD_RATIO;
+      }
+    } else if (this.stepEyeState(state, ear, timestamp)) {
+      state.totalBlinks++;
+      state.lastBlinkTime = timestamp;
+      state.blinkHistory.push(timestamp);
+      blinkDetected = true;
+    }
+
+    // Keep only last 60 seconds of blinks
+    state.blinkHistory = state.blinkHistory.filter(t => timestamp - t < 60000);
+
+    return {
+      blinkDetected,
+      stats: this.buildStats(state, ear, timestamp)
+    };
+  }
+
+  // Closed/open transitions once a threshold is known. Returns true when the
+  // sample ends a blink (the eye opens after being closed).
+  static stepEyeState(state, ear, timestamp) {
+    if (ear < state.threshold) {
+      state.closedFrames++;
+      return false;
+    }
+
+    const blink = state.closedFrames >= MIN_CLOSED_FRAMES &&
+      timestamp - state.lastBlinkTime > REFRACTORY_PERIOD;
+    state.closedFrames = 0;
+    return blink;
+  }
+
+  // Blink detection over stored frames, in time order: [{ frameId, timestamp, ear }]
+  // with ear null where no face was found. Leaves the live session state alone.
+  // Without a calibrated baseline the mean EAR of the samples is used; blinks
+  // are too short to pull it down much.
+  static analyzeSamples(samples, baseline = null) {
+    const ears = samples.map(sample => sample.ear).filter(ear => ear !== null);
+    const base = baseline ?? (ears.length > 0 ? ears.reduce((a, b) => a + b) / ears.length : null);
+    const state = { threshold: base === null ? null : base * THRESHOLD_RATIO, closedFrames: 0, lastBlinkTime: 0 };
+
+    const frames = samples.map(sample => {
+      if (sample.ear === null || state.threshold === null) {
+        return { ...sample, eyeState: null, blink: false };
+      }
+
+      const blink = this.stepEyeState(state, sample.ear, sample.timestamp);
+      if (blink) state.lastBlinkTime = sample.timestamp;
+      return { ...sample, eyeState: sample.ear < state.threshold ? 'closed' : 'open', blink };
+    });
+
+    return {
+      baseline: base,
+      threshold: state.threshold,
+      calibrated: baseline !== null,
+      frames,
+      blinks: frames.filter(frame => frame.blink).map(({ frameId, timestamp }) => ({ frameId, timestamp }))
+    };
+  }
+
+  // One analyzed frame as the attributes of an inference_results row (see
+  // InferenceService.saveResult); the eye state is the label
+  static earResult(frame, analysis) {
+    const { estimate } = frame;
+    return {
+      model_name: EAR_MODEL.name,
+      model_id: EAR_MODEL.id,
+      model_version: EAR_MODEL.version,
+      provider: 'server',
+      status: estimate ? 'completed' : 'skipped',
+      label: estimate ? frame.eyeState : 'NoFace',
+      confidence: null,
+      raw_response: {
+        frame: estimate && {
+          ear: estimate.ear,
+          leftEAR: estimate.leftEAR,
+          rightEAR: estimate.rightEAR,
+          baseline: analysis.baseline,
+          threshold: analysis.threshold,
+          blink: frame.blink
+        }
+      },
+      error: null,
+      processing_time_ms: frame.processingTime ?? null,
+      predictions: []
+    };
+  }
+
+  static buildStats(state, ear, timestamp) {
+    const minutes = (timestamp - state.startedAt) / 60000;
+    const blinksPerMin = state.blinkHistory.length;
+
+    return {
+      totalBlinks: state.totalBlinks,
+      blinksPerMin,
+      avgBpm: minutes > 0 ? state.totalBlinks / minutes : null,
+      rateStatus: state.baseline === null ? 'Unknown' : getRateStatus(blinksPerMin),
+      earValue: ear,
+      calibrated: state.baseline !== null
+    };
+  }
+
+  // Persist a stats snapshot and count new blinks against the session
+  static async saveStats(sessionId, stats, newBlinks = 0) {
+    const record = await BlinkStat.create({
+      session_id: sessionId,
+      total_blinks: stats.totalBlinks,
+      avg_bpm: stats.avgBpm ?? null,
+      recent_bpm: stats.blinksPerMin ?? null,
+      ear_value: stats.earValue ?? null,
+      rate_status: stats.rateStatus || 'Unknown',
+      ...(stats.timestamp && { timestamp: new Date(stats.timestamp) })
+    });
+
+    if (newBlinks > 0) {
+      await Session.increment('total_blinks', {
+        by: newBlinks,
+        where: { session_id: sessionId }
+      });
+    }
+
+    return record;
+  }
+
+  // Push stats to the session's sockets, on whichever API instance they are, and
+  // on the `blink-updates` channel for any other subscriber
+  static async publish(sessionId, stats) {
+    await Promise.all([
+      SessionPresence.sendToSession(sessionId, { type: 'blink_update', ...stats }),
+      redisPub.publish('blink-updates', JSON.stringify({ sessionId, stats }))
+    ]);
+  }
+
+  // Validate a client batch of `{ events: [...], stats: [...] }`.
+  // Single objects are accepted in place of arrays. Returns { error } or { batch }.
+  static parseBatch(payload) {
+    if (!payload || typeof payload !== 'object') {
+      return { error: 'Body must be an object with events and/or stats' };
+    }
+
+    const toArray = (value) => value === undefined ? [] : [].concat(value);
+    const events = toArray(payload.events);
+    const stats = toArray(payload.stats);
+
+    if (events.length === 0 && stats.length === 0) {
+      return { error: 'At least one blink event or stats entry is required' };
+    }
+    if (events.length + stats.length > MAX_BATCH_SIZE) {
+      return { error: `Batch exceeds ${MAX_BATCH_SIZE} entries` };
+    }
+
+    const now = Date.now();
+    const parseTimestamp = (value) => {
+      const time = value === undefined ? now : new Date(value).getTime();
+      return Number.isFinite(time) && time <= now + MAX_CLOCK_SKEW ? time : null;
+    };
+
+    const batch = { events: [], stats: [] };
+
+    for (const [index, event] of events.entries()) {
+      if (!event || typeof event !== 'object') return { error: `events[${index}] must be an object` };
+      const timestamp = parseTimestamp(event.timestamp);
+      if (timestamp === null) return { error: `events[${index}].timestamp is invalid` };
+      if (event.ear !== undefined && !isNumber(event.ear)) {
+        return { error: `events[${index}].ear must be a number` };
+      }
+
+      batch.events.push({
+        timestamp,
+        ear: event.ear ?? null,
+        quality: event.quality === 'good' || event.quality === 'poor' ? event.quality : null
+      });
+    }
+
+    for (const [index, entry] of stats.entries()) {
+      if (!entry || typeof entry !== 'object') return { error: `stats[${index}] must be an object` };
+      const timestamp = parseTimestamp(entry.timestamp);
+      if (timestamp === null) return { error: `stats[${index}].timestamp is invalid` };
+      if (!Number.isInteger(entry.totalBlinks) || entry.totalBlinks < 0) {
+        return { error: `stats[${index}].totalBlinks must be a non-negative integer` };
+      }
+      for (const field of ['blinksPerMin', 'earValue', 'avgBpm']) {
+        if (entry[field] !== undefined && entry[field] !== null && !isNumber(entry[field])) {
+          return { error: `stats[${index}].${field} must be a number` };
+        }
+      }
+      if (entry.rateStatus !== undefined && !RATE_STATUSES.includes(entry.rateStatus)) {
+        return { error: `stats[${index}].rateStatus must be one of ${RATE_STATUSES.join(', ')}` };
+      }
+
+      batch.stats.push({
+        timestamp,
+        totalBlinks: entry.totalBlinks,
+        blinksPerMin: entry.blinksPerMin ?? null,
+        avgBpm: entry.avgBpm ?? null,
+        earValue: entry.earValue ?? null,
+        rateStatus: entry.rateStatus || 'Unknown'
+      });
+    }
+
+    batch.events.sort((a, b) => a.timestamp - b.timestamp);
+    batch.stats.sort((a, b) => a.timestamp - b.timestamp);
+    return { batch };
+  }
+
+  // Persist a validated client batch: one BlinkStat row per event and stats entry,
+  // Session.total_blinks raised by the new events (and never below the client's
+  // own running total), then the latest numbers republished on blink-updates.
+  // Returns null if the session does not exist.
+  static async ingest(sessionId, { events, stats }) {
+    const result = await sequelize.transaction(async (transaction) => {
+      const session = await Session.findOne({
+        where: { session_id: sessionId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!session) return null;
+
+      let totalBlinks = session.total_blinks;
+      const rows = events.map(event => ({
+        session_id: sessionId,
+        total_blinks: ++totalBlinks,
+        ear_value: event.ear,
+        rate_status: 'Unknown',
+        timestamp: new Date(event.timestamp)
+      }));
+
+      for (const entry of stats) {
+        totalBlinks = Math.max(totalBlinks, entry.totalBlinks);
+        rows.push({
+          session_id: sessionId,
+          total_blinks: entry.totalBlinks,
+          avg_bpm: entry.avgBpm,
+          recent_bpm: entry.blinksPerMin,
+          ear_value: entry.earValue,
+          rate_status: entry.rateStatus,
+          timestamp: new Date(entry.timestamp)
+        });
+      }
+
+      await BlinkStat.bulkCreate(rows, { transaction });
+      await session.update({ total_blinks: totalBlinks }, { transaction });
+
+      return { saved: rows.length, newBlinks: events.length, totalBlinks };
+    });
+
+    if (!result) return null;
+
+    const latest = stats[stats.length - 1];
+    await this.publish(sessionId, {
+      ...latest,
+      totalBlinks: result.totalBlinks,
+      blinkDetected: events.length > 0,
+      source: 'client'
+    });
+
+    return result;
+  }
+
+  static async clearState(sessionId) {
+    await redisPub.del(stateKey(sessionId));
+  }
+}
+
+export default BlinkService;
@@ -0,0 +1,178 @@
+import {
+  deadLetterQueue,
+  addDeadLetterJob,
+  addFrameFlow,
+  frameQueue,
+  emailQueue,
+  queues
+} from '../queues/queue.config.js';
+
+// Original job options kept on a dead-letter entry and reused on retry
+const RETRY_OPTIONS = ['attempts', 'backoff', 'priority', 'removeOnComplete', 'removeOnFail'];
+
+const pick = (object, keys) => Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+
+// Job data that must not be copied to the dead-letter queue, where admins can
+// read it. Each function returns the data to keep, or null if there is nothing
+// to hide. Entries with redacted data can't be retried.
+const REDACT_DATA = {
+  // Verification and reset links carry the user's token
+  [emailQueue.name]: (data) => data.data?.link
+    ? { ...data, data: { ...data.data, link: '[redacted]' } }
+    : null
+};
+
+export class DeadLetterService {
+  static entryId(queueName, jobId) {
+    return `${queueName}-${jobId}`;
+  }
+
+  // Called by the workers when a job fails for the last time: copy it, with its
+  // error and one record per failed attempt, to the dead-letter queue and take
+  // it out of the failed set (where removeOnFail would eventually drop it)
+  static async add(queueName, job, error) {
+    const stacktrace = job.stacktrace || [];
+    const redacted = REDACT_DATA[queueName]?.(job.data) ?? null;
+
+    await addDeadLetterJob(queueName, {
+      queue: queueName,
+      jobId: job.id,
+      name: job.name,
+      data: redacted ?? job.data,
+      redacted: redacted !== null,
+      opts: pick(job.opts, RETRY_OPTIONS),
+      parentKey: job.parentKey || null,
+      failedReason: error.message,
+      stack: error.stack || null,
+      attemptsMade: job.attemptsMade,
+      // Oldest first; BullMQ keeps one stack per failed attempt
+      attempts: stacktrace.map((stack, index) => ({
+        attempt: index + 1,
+        error: stack?.split('\n')[0] ?? null,
+        stack
+      })),
+      createdAt: job.timestamp,
+      failedAt: job.finishedOn || Date.now()
+    }, this.entryId(queueName, job.id));
+
+    // The entry is safe; if the job can't be removed, removeOnFail drops it later
+    try {
+      await job.remove();
+    } catch (removeError) {
+      console.warn(`[DeadLetter] Job ${job.id} is dead-lettered but stays in ${queueName}:`, removeError.message);
+    }
+  }
+
+  static summary(entry) {
+    const { queue, jobId, name, failedReason, attemptsMade, failedAt, redacted = false } = entry.data;
+    return {
+      id: entry.id,
+      queue,
+      jobId,
+      name,
+      failedReason,
+      attemptsMade,
+      retryable: !redacted,
+      failedAt: new Date(failedAt).toISOString(),
+      deadLetteredAt: new Date(entry.timestamp).toISOString()
+    };
+  }
+
+  static detail(entry) {
+    const { data, opts, parentKey, stack, attempts, createdAt } = entry.data;
+    return {
+      ...this.summary(entry),
+      data,
+      opts,
+      parentKey,
+      stack,
+      attempts,
+      createdAt: createdAt ? new Date(createdAt).toISOString() : null
+    };
+  }
+
+  // Newest first. Filtering by queue scans the whole dead-letter queue.
+  static async list({ queue = null, offset = 0, limit = 50 } = {}) {
+    if (!queue) {
+      const [entries, total] = await Promise.all([
+        deadLetterQueue.getJobs(['waiting'], offset, offset + limit - 1, false),
+        deadLetterQueue.getWaitingCount()
+      ]);
+      return { total, entries: entries.filter(Boolean).map(entry => this.summary(entry)) };
+    }
+
+    const entries = await this.getEntries(queue);
+    return {
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit).map(entry => this.summary(entry))
+    };
+  }
+
+  static async getEntries(queue = null) {
+    const entries = (await deadLetterQueue.getJobs(['waiting'], 0, -1, false)).filter(Boolean);
+    return queue ? entries.filter(entry => entry.data.queue === queue) : entries;
+  }
+
+  static async get(id) {
+    const entry = await deadLetterQueue.getJob(id);
+    return entry ? this.detail(entry) : null;
+  }
+
+  // Put the job back on its queue as a new job and drop the entry.
+  // Returns { id, queue, jobId } or null if there is no such entry.
+  static async retry(id) {
+    const entry = await deadLetterQueue.getJob(id);
+    if (!entry) return null;
+
+    const { queue, name, data, opts, parentKey, redacted } = entry.data;
+    const target = queues[queue];
+    if (!target) {
+      throw new Error(`Unknown queue: ${queue}`);
+    }
+    if (redacted) {
+      throw new Error(`Entry ${id} was stored without its secrets and can't be retried`);
+    }
+
+    // A frame job from a frame flow is retried with a new inference parent,
+    // so the frame still gets inferred once it is processed
+    const job = queue === frameQueue.name && parentKey
+      ? (await addFrameFlow(data)).children[0].job
+      : await target.add(name, data, opts);
+
+    await entry.remove();
+    return { id, queue, jobId: job.id };
+  }
+
+  // Retry the given entries, or every entry (of one queue)
+  static async retryAll({ ids = null, queue = null } = {}) {
+    const targets = ids || (await this.getEntries(queue)).map(entry => entry.id);
+    const retried = [];
+    const failed = [];
+
+    for (const id of targets) {
+      try {
+        const result = await this.retry(id);
+        if (result) retried.push(result);
+        else failed.push({ id, error: 'Not found' });
+      } catch (error) {
+        failed.push({ id, error: error.message });
+      }
+    }
+
+    return { retried, failed };
+  }
+
+  static async discard(id) {
+    const entry = await deadLetterQueue.getJob(id);
+    if (!entry) return false;
+
+    await entry.remove();
+    return true;
+  }
+
+  static async getCount() {
+    return await deadLetterQueue.getWaitingCount();
+  }
+}
+
+export default DeadLetterService;
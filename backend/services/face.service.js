@@ -0,0 +1,99 @@
+import sharp from 'sharp';
+
+// Face and eye localisation on CPU with @tensorflow-models/face-detection
+// (MediaPipe short-range detector, tfjs runtime backed by tfjs-node).
+// Set FACE_DETECTOR_MODEL_URL to a local model.json to run without tfhub access.
+const DETECTOR_MODEL_URL = process.env.FACE_DETECTOR_MODEL_URL;
+
+export class FaceService {
+  static detector = null;
+  static tf = null;
+
+  static async getDetector() {
+    if (!this.detector) {
+      this.detector = (async () => {
+        this.tf = await import('@tensorflow/tfjs-node');
+        const faceDetection = await import('@tensorflow-models/face-detection');
+
+        const detector = await faceDetection.createDetector(
+          faceDetection.SupportedModels.MediaPipeFaceDetector,
+          {
+            runtime: 'tfjs',
+            modelType: 'short',
+            maxFaces: 1,
+            ...(DETECTOR_MODEL_URL && { detectorModelUrl: DETECTOR_MODEL_URL })
+          }
+        );
+
+        console.log('[FaceService] Face detector loaded');
+        return detector;
+      })();
+
+      // Allow a retry on the next call if loading failed
+      this.detector.catch(() => { this.detector = null; });
+    }
+    return this.detector;
+  }
+
+  // Returns { box, leftEye, rightEye, width, height } in pixel coordinates, or null if no face
+  static async detect(buffer) {
+    const detector = await this.getDetector();
+    const image = this.tf.node.decodeImage(buffer, 3);
+
+    try {
+      const [face] = await detector.estimateFaces(image, { flipHorizontal: false });
+      if (!face) return null;
+
+      const keypoint = (name) => face.keypoints.find(k => k.name === name) || null;
+
+      return {
+        box: face.box,
+        leftEye: keypoint('leftEye'),
+        rightEye: keypoint('rightEye'),
+        width: image.shape[1],
+        height: image.shape[0]
+      };
+    } finally {
+      image.dispose();
+    }
+  }
+
+  // The part of a box that lies inside a width x height image, as a sharp
+  // extract region; null if none of it does
+  static clampRegion({ width, height }, box) {
+    const left = Math.max(0, Math.round(box.left));
+    const top = Math.max(0, Math.round(box.top));
+    const right = Math.min(width, Math.round(box.left + box.width));
+    const bottom = Math.min(height, Math.round(box.top + box.height));
+
+    if (right <= left || bottom <= top) return null;
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  // Region around an eye keypoint, sized relative to the face box and clamped to
+  // the image; null if the keypoint is too far outside the image
+  static eyeRegion(face, eye) {
+    const regionWidth = face.box.width * 0.3;
+    const regionHeight = face.box.width * 0.2;
+
+    return this.clampRegion(face, {
+      left: eye.x - regionWidth / 2,
+      top: eye.y - regionHeight / 2,
+      width: regionWidth,
+      height: regionHeight
+    });
+  }
+
+  // Greyscale pixels of an image region
+  static async extractGrey(buffer, region) {
+    const { data, info } = await sharp(buffer)
+      .extract(region)
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height };
+  }
+}
+
+export default FaceService;
@@ -0,0 +1,186 @@
+import { Op } from 'sequelize';
+import { MODELS } from '../config/inference.js';
+import { Frame, Session } from '../models/database.models.js';
+import { canAccessSession } from '../middleware/access.middleware.js';
+import { addAnalysisJob } from '../queues/queue.config.js';
+import { BlinkService } from './blink.service.js';
+import { InferenceService } from './inference.service.js';
+import { StorageService } from './storage.service.js';
+
+// On-demand re-analysis of stored frames (`request_blink_detection`): blink/EAR
+// detection and/or one model run again, for one frame or a range of frames of
+// one session. Runs on the analysis worker; results are saved as
+// inference_results rows and sent to the requesting session.
+export const ANALYSIS_CONFIG = {
+  maxFrames: parseInt(process.env.ANALYSIS_MAX_FRAMES || '300')
+};
+
+const MODEL_ID_PATTERN = /^[\w.-]+(\/[\w.-]+)?$/;
+
+const isFrameId = (value) => Number.isInteger(value) && value > 0;
+
+const frameTime = (frame) => (frame.captured_at || frame.uploaded_at).getTime();
+
+export class FrameAnalysisService {
+  // Validate `{ frameId } | { fromFrameId, toFrameId }` with optional
+  // `blink` (default true), `model`, `modelId` and a client `requestId`.
+  // Returns { error } or { request }.
+  static parseRequest(data) {
+    if (!data || typeof data !== 'object') {
+      return { error: 'Request must be an object' };
+    }
+
+    const { frameId, fromFrameId, toFrameId, model = null, modelId = null, requestId = null } = data;
+    const blink = data.blink ?? true;
+
+    if (frameId !== undefined) {
+      if (!isFrameId(frameId)) return { error: 'frameId must be a positive integer' };
+    } else if (!isFrameId(fromFrameId) || !isFrameId(toFrameId)) {
+      return { error: 'frameId, or fromFrameId and toFrameId, are required' };
+    } else if (fromFrameId > toFrameId) {
+      return { error: 'fromFrameId must not be after toFrameId' };
+    }
+
+    if (typeof blink !== 'boolean') return { error: 'blink must be a boolean' };
+    if (model !== null && !MODELS[model]) {
+      return { error: `model must be one of ${Object.keys(MODELS).join(', ')}` };
+    }
+    if (modelId !== null) {
+      if (model === null) return { error: 'modelId requires model' };
+      if (typeof modelId !== 'string' || !MODEL_ID_PATTERN.test(modelId)) {
+        return { error: 'modelId must look like <model>/<version>' };
+      }
+    }
+    if (!blink && model === null) return { error: 'Nothing to analyze: enable blink or pick a model' };
+    if (requestId !== null && (typeof requestId !== 'string' || requestId.length > 100)) {
+      return { error: 'requestId must be a string of at most 100 characters' };
+    }
+
+    return {
+      request: {
+        fromFrameId: frameId ?? fromFrameId,
+        toFrameId: frameId ?? toFrameId,
+        blink,
+        model,
+        modelId: model && (modelId || MODELS[model]),
+        requestId
+      }
+    };
+  }
+
+  // Stored frames in the range, oldest first. The range is taken from the
+  // session of its first frame; that session has to be the requesting one or
+  // one the user may access. Returns { error, code } or { sessionId, frameIds }.
+  static async resolveFrames(request, clientInfo) {
+    const notFound = { error: 'Frame not found', code: 'FRAME_NOT_FOUND' };
+
+    const first = await Frame.findByPk(request.fromFrameId);
+    if (!first?.session_id) return notFound;
+
+    if (first.session_id !== clientInfo.sessionId) {
+      const session = await Session.findOne({ where: { session_id: first.session_id } });
+      if (!canAccessSession(clientInfo.user, session)) return notFound;
+    }
+
+    const frames = await Frame.findAll({
+      where: {
+        session_id: first.session_id,
+        id: { [Op.between]: [request.fromFrameId, request.toFrameId] },
+        status: 'ready'
+      },
+      attributes: ['id'],
+      order: [['id', 'ASC']],
+      limit: ANALYSIS_CONFIG.maxFrames + 1
+    });
+
+    if (frames.length === 0) {
+      return { error: 'Frame is not processed yet', code: 'FRAME_NOT_READY' };
+    }
+    if (frames.length > ANALYSIS_CONFIG.maxFrames) {
+      return { error: `Range exceeds ${ANALYSIS_CONFIG.maxFrames} frames`, code: 'VALIDATION_ERROR' };
+    }
+
+    return { sessionId: first.session_id, frameIds: frames.map(frame => frame.id) };
+  }
+
+  // Results go to `sessionId` (the requesting session), not necessarily the
+  // session the frames belong to
+  static async enqueue(request, { sessionId, frameIds }) {
+    return await addAnalysisJob({ ...request, sessionId, frameIds });
+  }
+
+  // Run the analysis; `onProgress(done, total)` after each frame.
+  // Returns the payload of a `blink_detection_result` message.
+  static async analyze({ frameIds, blink, model, modelId }, onProgress = async () => {}) {
+    const frames = await Frame.findAll({ where: { id: frameIds, status: 'ready' } });
+    frames.sort((a, b) => frameTime(a) - frameTime(b) || a.id - b.id);
+
+    const samples = [];
+    const inference = {};
+
+    for (const [index, frame] of frames.entries()) {
+      const startTime = Date.now();
+      const { s3Key, assets } = await StorageService.getProcessedFrame(frame.id);
+
+      if (blink) {
+        const estimate = await BlinkService.estimateEAR(await StorageService.getFrameBuffer(frame.id));
+        samples.push({
+          frameId: frame.id,
+          timestamp: frameTime(frame),
+          ear: estimate?.ear ?? null,
+          estimate,
+          processingTime: Date.now() - startTime
+        });
+      }
+
+      if (model) {
+        const eyes = assets && { left: assets.left_eye || null, right: assets.right_eye || null };
+        const result = await InferenceService.runModel(model, frame.id, s3Key, eyes, modelId);
+        await InferenceService.saveResult(frame.id, result);
+        inference[frame.id] = InferenceService.summarize([result]).models[model];
+      }
+
+      await onProgress(index + 1, frames.length);
+    }
+
+    const analysis = blink ? await this.analyzeBlinks(frames[0]?.session_id, samples) : null;
+    const analyzed = new Map(analysis?.frames.map(sample => [sample.frameId, sample]));
+
+    return {
+      frameCount: frames.length,
+      ...(analysis && {
+        blink: {
+          baseline: analysis.baseline,
+          threshold: analysis.threshold,
+          calibrated: analysis.calibrated,
+          blinkCount: analysis.blinks.length,
+          blinks: analysis.blinks
+        }
+      }),
+      frames: frames.map(frame => {
+        const sample = analyzed.get(frame.id);
+        return {
+          frameId: frame.id,
+          timestamp: new Date(frameTime(frame)).toISOString(),
+          ...(sample && { ear: sample.ear, eyeState: sample.eyeState, blink: sample.blink }),
+          ...(model && { inference: inference[frame.id] })
+        };
+      })
+    };
+  }
+
+  // Blink detection over the samples, saved as one EAR result per frame. Uses
+  // the session's calibrated baseline while its live eye state is still around.
+  static async analyzeBlinks(sessionId, samples) {
+    const { baseline } = sessionId ? await BlinkService.getState(sessionId) : { baseline: null };
+    const analysis = BlinkService.analyzeSamples(samples, baseline);
+
+    for (const frame of analysis.frames) {
+      await InferenceService.saveResult(frame.frameId, BlinkService.earResult(frame, analysis));
+    }
+
+    return analysis;
+  }
+}
+
+export default FrameAnalysisService;
@@ -0,0 +1,145 @@
+import sharp from 'sharp';
+import { FaceService } from './face.service.js';
+
+// Image work done by the frame worker on each raw upload. Everything here is
+// pure (buffer in, buffers out); storing the results is up to the caller.
+export const PIPELINE_CONFIG = {
+  frame: { width: 640, height: 480, quality: 75 },
+  thumbnail: { width: 160, height: 120, quality: 60 },
+  face: { size: 256, margin: 0.2, quality: 85 },
+  // Eye crops are kept at native resolution, the redness model resizes them itself
+  eye: { quality: 90 }
+};
+
+const FACE_DETECTION = process.env.FRAME_FACE_DETECTION !== 'false';
+
+export class FramePipeline {
+  static faceDetectionWarned = false;
+
+  // Returns { frame, thumbnail, face, eyes: { left, right }, metadata }. Images are
+  // { buffer, width, height }; crops also have `region` and are null when not found.
+  static async process(rawBuffer) {
+    const source = await sharp(rawBuffer).metadata();
+
+    // Apply EXIF orientation first so crops and models see an upright image
+    const frame = await this.encode(
+      sharp(rawBuffer)
+        .rotate()
+        .resize(PIPELINE_CONFIG.frame.width, PIPELINE_CONFIG.frame.height, {
+          fit: 'inside',
+          withoutEnlargement: true
+        }),
+      PIPELINE_CONFIG.frame.quality,
+      true
+    );
+
+    const thumbnail = await this.encode(
+      sharp(frame.buffer).resize(PIPELINE_CONFIG.thumbnail.width, PIPELINE_CONFIG.thumbnail.height, {
+        fit: 'inside'
+      }),
+      PIPELINE_CONFIG.thumbnail.quality
+    );
+
+    const detected = await this.detectFace(frame.buffer);
+    const face = detected ? await this.cropFace(frame, detected) : null;
+    const eyes = {
+      left: detected?.leftEye ? await this.cropEye(frame, detected, detected.leftEye) : null,
+      right: detected?.rightEye ? await this.cropEye(frame, detected, detected.rightEye) : null
+    };
+
+    return {
+      frame,
+      thumbnail,
+      face,
+      eyes,
+      metadata: {
+        source: {
+          format: source.format,
+          width: source.width,
+          height: source.height,
+          orientation: source.orientation || 1,
+          size: rawBuffer.length
+        },
+        face: detected ? {
+          box: this.roundBox(detected.box),
+          leftEye: this.roundPoint(detected.leftEye),
+          rightEye: this.roundPoint(detected.rightEye)
+        } : null
+      }
+    };
+  }
+
+  static async encode(pipeline, quality, progressive = false) {
+    const { data, info } = await pipeline
+      .jpeg({ quality, progressive })
+      .toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, width: info.width, height: info.height };
+  }
+
+  // Face detection is best-effort: a missing model must not fail the frame
+  static async detectFace(buffer) {
+    if (!FACE_DETECTION) return null;
+
+    try {
+      return await FaceService.detect(buffer);
+    } catch (error) {
+      if (!this.faceDetectionWarned) {
+        console.warn('[FramePipeline] Face detection unavailable, skipping face crops:', error.message);
+        this.faceDetectionWarned = true;
+      }
+      return null;
+    }
+  }
+
+  // Square crop around the face box with some margin, clamped to the frame
+  static async cropFace(frame, face) {
+    const { margin, size, quality } = PIPELINE_CONFIG.face;
+    const side = Math.max(face.box.width, face.box.height) * (1 + margin * 2);
+    const centerX = face.box.xMin + face.box.width / 2;
+    const centerY = face.box.yMin + face.box.height / 2;
+
+    const region = FaceService.clampRegion(frame, {
+      left: centerX - side / 2,
+      top: centerY - side / 2,
+      width: side,
+      height: side
+    });
+    if (!region) return null;
+
+    const crop = await this.encode(
+      sharp(frame.buffer)
+        .extract(region)
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true }),
+      quality
+    );
+
+    return { ...crop, region };
+  }
+
+  // Same region blink detection measures (see FaceService.eyeRegion); null
+  // when the eye lies outside the frame
+  static async cropEye(frame, face, eye) {
+    const region = FaceService.eyeRegion({ ...face, width: frame.width, height: frame.height }, eye);
+    if (!region) return null;
+
+    const crop = await this.encode(sharp(frame.buffer).extract(region), PIPELINE_CONFIG.eye.quality);
+
+    return { ...crop, region };
+  }
+
+  static roundBox(box) {
+    return {
+      xMin: Math.round(box.xMin),
+      yMin: Math.round(box.yMin),
+      width: Math.round(box.width),
+      height: Math.round(box.height)
+    };
+  }
+
+  static roundPoint(point) {
+    return point ? { x: Math.round(point.x), y: Math.round(point.y) } : null;
+  }
+}
+
+export default FramePipeline;
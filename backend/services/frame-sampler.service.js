@@ -0,0 +1,147 @@
+import sharp from 'sharp';
+import { redisPub } from '../config/redis.js';
+
+// Decides which stored frames go on to inference. Stored frames still feed
+// server-side blink detection; only the (expensive) model calls are sampled.
+export const SAMPLING_CONFIG = {
+  enabled: process.env.FRAME_SAMPLING !== 'false',
+  // Default minimum gap between inferred frames of one session
+  intervalMs: parseInt(process.env.SAMPLING_INTERVAL_MS || '1000'),
+  minIntervalMs: parseInt(process.env.SAMPLING_MIN_INTERVAL_MS || '200'),
+  maxIntervalMs: parseInt(process.env.SAMPLING_MAX_INTERVAL_MS || '60000'),
+  // Frames whose dHash differs from the last inferred frame by at most this many bits are duplicates
+  duplicateDistance: parseInt(process.env.SAMPLING_DUPLICATE_DISTANCE || '5'),
+  // After a client-reported blink, keep every frame for this long
+  keepWindowMs: parseInt(process.env.SAMPLING_KEEP_WINDOW_MS || '1000')
+};
+
+const STATE_TTL = 60 * 60; // seconds
+
+// Hash: lastHash, lastInferredAt, keepUntil, inferred, skipped. Frame workers
+// and the API update it concurrently, so every change is one script.
+const stateKey = (sessionId) => `sampler:${sessionId}`;
+
+// Classify a frame against the session state and record it. Same rules as
+// FrameSampler.sample; the Hamming distance runs on 16-bit chunks of the hex hash.
+// KEYS: state. ARGV: hash, timestamp, flagged (1/0), intervalMs, duplicateDistance, ttl
+const SAMPLE_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'lastHash', 'lastInferredAt', 'keepUntil')
+local lastHash = state[1]
+local lastInferredAt = tonumber(state[2]) or 0
+local keepUntil = tonumber(state[3]) or 0
+local hash = ARGV[1]
+local timestamp = tonumber(ARGV[2])
+
+local function distance(a, b)
+  local count = 0
+  for i = 1, 16, 4 do
+    local diff = bit.bxor(tonumber(string.sub(a, i, i + 3), 16), tonumber(string.sub(b, i, i + 3), 16))
+    while diff ~= 0 do
+      count = count + bit.band(diff, 1)
+      diff = bit.rshift(diff, 1)
+    end
+  end
+  return count
+end
+
+local reason
+if ARGV[3] == '1' then
+  reason = 'flagged'
+elseif timestamp <= keepUntil then
+  reason = 'keep_window'
+elseif not lastHash then
+  reason = 'first'
+elseif distance(hash, lastHash) <= tonumber(ARGV[5]) then
+  reason = 'duplicate'
+elseif timestamp - lastInferredAt < tonumber(ARGV[4]) then
+  reason = 'cadence'
+else
+  reason = 'changed'
+end
+
+if reason == 'duplicate' or reason == 'cadence' then
+  redis.call('HINCRBY', KEYS[1], 'skipped', 1)
+else
+  redis.call('HSET', KEYS[1], 'lastHash', hash, 'lastInferredAt', ARGV[2])
+  redis.call('HINCRBY', KEYS[1], 'inferred', 1)
+end
+redis.call('EXPIRE', KEYS[1], ARGV[6])
+return reason
+`;
+
+// Raise keepUntil, never lower it. KEYS: state. ARGV: until, ttl
+const KEEP_SCRIPT = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'keepUntil')) or 0
+if tonumber(ARGV[1]) > current then
+  redis.call('HSET', KEYS[1], 'keepUntil', ARGV[1])
+end
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+return 1
+`;
+
+export class FrameSampler {
+  // 64-bit difference hash: compare neighbouring pixels of a 9x8 greyscale thumbnail
+  static async dHash(buffer) {
+    const data = await sharp(buffer)
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        hash = (hash << 1n) | (data[y * 9 + x] > data[y * 9 + x + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  // Clamp a client-requested cadence to the configured bounds
+  static normalizeInterval(intervalMs) {
+    const value = Number(intervalMs);
+    if (!Number.isFinite(value)) return SAMPLING_CONFIG.intervalMs;
+    return Math.min(SAMPLING_CONFIG.maxIntervalMs, Math.max(SAMPLING_CONFIG.minIntervalMs, Math.round(value)));
+  }
+
+  // Returns { infer, reason }. reason is one of:
+  // 'disabled', 'flagged', 'keep_window', 'first', 'changed' (inferred) or 'duplicate', 'cadence' (skipped)
+  static async sample(sessionId, buffer, { timestamp = Date.now(), flagged = false, intervalMs } = {}) {
+    if (!SAMPLING_CONFIG.enabled) {
+      return { infer: true, reason: 'disabled' };
+    }
+
+    const hash = await this.dHash(buffer);
+
+    // Flagged > keep window > first frame > duplicate of the last inferred frame > cadence
+    const reason = await redisPub.eval(
+      SAMPLE_SCRIPT,
+      1,
+      stateKey(sessionId),
+      hash,
+      Math.round(timestamp),
+      flagged ? 1 : 0,
+      intervalMs ?? SAMPLING_CONFIG.intervalMs,
+      SAMPLING_CONFIG.duplicateDistance,
+      STATE_TTL
+    );
+
+    return { infer: reason !== 'duplicate' && reason !== 'cadence', reason };
+  }
+
+  // Keep every frame around an interesting moment (e.g. a blink the client detected)
+  static async keepFramesUntil(sessionId, until) {
+    await redisPub.eval(KEEP_SCRIPT, 1, stateKey(sessionId), Math.round(until), STATE_TTL);
+  }
+
+  static async getSessionStats(sessionId) {
+    const [inferred, skipped] = await redisPub.hmget(stateKey(sessionId), 'inferred', 'skipped');
+    return { inferred: Number(inferred || 0), skipped: Number(skipped || 0) };
+  }
+
+  static async clearState(sessionId) {
+    await redisPub.del(stateKey(sessionId));
+  }
+}
+
+export default FrameSampler;
@@ -0,0 +1,136 @@
+// Wire formats for camera frames sent over the WebSocket.
+//
+// 'data-url' (legacy): a text message `data:image/jpeg;base64,<...>`.
+//
+// 'binary-v1': a binary message with a fixed header followed by the raw image
+// bytes. All integers are big-endian.
+//
+//   offset  size  field
+//   0       2     magic 'VF' (0x56 0x46)
+//   2       1     version (1)
+//   3       1     codec (1 = JPEG, 2 = WebP, 3 = PNG)
+//   4       2     header length in bytes (24 for v1; payload starts here)
+//   6       2     flags (bit 0 = KEEP: always run inference on this frame)
+//   8       4     sequence number
+//   12      8     capture timestamp (ms since epoch, 0 = unknown)
+//   20      2     width in pixels (0 = unknown)
+//   22      2     height in pixels (0 = unknown)
+//   24      ...   image bytes
+//
+// Newer versions may extend the header; the header length field lets older
+// decoders find the payload.
+
+export const FRAME_PROTOCOLS = ['binary-v1', 'data-url'];
+export const DEFAULT_FRAME_PROTOCOL = 'data-url';
+
+const MAGIC = 0x5646; // 'VF'
+const VERSION = 1;
+const HEADER_LENGTH = 24;
+
+export const CODECS = {
+  1: 'jpeg',
+  2: 'webp',
+  3: 'png'
+};
+
+export const FRAME_FLAGS = {
+  KEEP: 0x1 // client marked the frame as interesting (e.g. mid-blink)
+};
+
+const CODEC_IDS = Object.fromEntries(Object.entries(CODECS).map(([id, name]) => [name, Number(id)]));
+
+const MIME_CODECS = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/webp': 'webp',
+  'image/png': 'png'
+};
+
+export class FrameProtocol {
+  // Pick the protocol a client asked for (`?frameProtocol=`), falling back to data URLs
+  static negotiate(requested) {
+    return FRAME_PROTOCOLS.includes(requested) ? requested : DEFAULT_FRAME_PROTOCOL;
+  }
+
+  // Returns { frame } or { error }. frame: { buffer, codec, sequence, capturedAt, width, height, flags, format }
+  static decodeBinary(data) {
+    if (data.length < 4 || data.readUInt16BE(0) !== MAGIC) {
+      return { error: 'Binary frames must use the binary-v1 envelope' };
+    }
+
+    const version = data.readUInt8(2);
+    if (version !== VERSION) {
+      return { error: `Unsupported frame envelope version ${version}` };
+    }
+
+    if (data.length < HEADER_LENGTH) {
+      return { error: 'Truncated frame header' };
+    }
+
+    const headerLength = data.readUInt16BE(4);
+    if (headerLength < HEADER_LENGTH || headerLength >= data.length) {
+      return { error: 'Invalid frame header length' };
+    }
+
+    const codec = CODECS[data.readUInt8(3)];
+    if (!codec) {
+      return { error: `Unknown frame codec ${data.readUInt8(3)}` };
+    }
+
+    const capturedAt = Number(data.readBigUInt64BE(12));
+
+    return {
+      frame: {
+        buffer: data.subarray(headerLength),
+        codec,
+        flags: data.readUInt16BE(6),
+        sequence: data.readUInt32BE(8),
+        capturedAt: capturedAt || null,
+        width: data.readUInt16BE(20) || null,
+        height: data.readUInt16BE(22) || null,
+        format: 'binary-v1'
+      }
+    };
+  }
+
+  static decodeDataUrl(text) {
+    const comma = text.indexOf(',');
+    const header = comma === -1 ? '' : text.slice(5, comma); // after 'data:'
+    const encoded = comma === -1 ? '' : text.slice(comma + 1);
+
+    if (!encoded || !header.endsWith(';base64')) {
+      return { error: 'Invalid frame format' };
+    }
+
+    return {
+      frame: {
+        buffer: Buffer.from(encoded, 'base64'),
+        // Unknown types are left for sharp to sniff, as before
+        codec: MIME_CODECS[header.slice(0, -';base64'.length).toLowerCase()] || null,
+        flags: 0,
+        sequence: null,
+        capturedAt: null,
+        width: null,
+        height: null,
+        format: 'data-url'
+      }
+    };
+  }
+
+  // Build a binary-v1 frame (for Node clients and scripts)
+  static encode(buffer, { codec = 'jpeg', sequence = 0, capturedAt = 0, width = 0, height = 0, flags = 0 } = {}) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt16BE(MAGIC, 0);
+    header.writeUInt8(VERSION, 2);
+    header.writeUInt8(CODEC_IDS[codec], 3);
+    header.writeUInt16BE(HEADER_LENGTH, 4);
+    header.writeUInt16BE(flags, 6);
+    header.writeUInt32BE(sequence, 8);
+    header.writeBigUInt64BE(BigInt(capturedAt), 12);
+    header.writeUInt16BE(width, 20);
+    header.writeUInt16BE(height, 22);
+    return Buffer.concat([header, buffer]);
+  }
+}
+
+export default FrameProtocol;
@@ -1,56 +1,210 @@
-import fetch from 'node-fetch';
-import { pool } from '../config/database.js';
-import { getSignedUrlForFrame } from '../config/s3.js';
+import { INFERENCE_PROVIDER, MODELS, MODEL_INPUTS, parseModelId } from '../config/inference.js';
+import { sequelize, InferenceResult, InferencePrediction } from '../models/database.models.js';
+import { RoboflowProvider } from './providers/roboflow.provider.js';
+import { LocalProvider } from './providers/local.provider.js';
+
+// Providers implement `static async predict({ frameId, s3Key, buffer }, modelId)`
+// and resolve to a Roboflow-style `{ predictions: [...] }` response.
+const PROVIDERS = {
+  [RoboflowProvider.id]: RoboflowProvider,
+  [LocalProvider.id]: LocalProvider
+};
+
+// Unique key of inference_results rows
+const RESULT_KEY = ['frame_id', 'model_name', 'model_id', 'model_version'];
+
+// Results that a retry keeps; failed ones are run again
+const FINAL_STATUSES = ['completed', 'skipped'];
 
 export class InferenceService {
-  static ROBOFLOW_API_URL = 'https://serverless.roboflow.com';
-  static ROBOFLOW_API_KEY = process.env.ROBOFLOW_API_KEY;
+  static get provider() {
+    const provider = PROVIDERS[INFERENCE_PROVIDER];
+    if (!provider) {
+      throw new Error(`Unknown inference provider: ${INFERENCE_PROVIDER}`);
+    }
+    return provider;
+  }
 
-  static async runInference(s3Key, modelId) {
+  static async runInference(frame, modelId) {
     try {
-      const signedUrl = await getSignedUrlForFrame(s3Key);
-      
-      const response = await fetch(`${this.ROBOFLOW_API_URL}/${modelId}?api_key=${this.ROBOFLOW_API_KEY}&image=${encodeURIComponent(signedUrl)}`, {
-        method: 'POST'
-      });
-
-      return await response.json();
+      return await this.provider.predict(frame, modelId);
     } catch (error) {
       console.error(`[InferenceService] Error for model ${modelId}:`, error);
       return { error: error.message };
     }
   }
 
-  static async processFrame(frameId, s3Key) {
-    try {
-      // Run both models in parallel
-      const [emotionResult, rednessResult] = await Promise.all([
-        this.runInference(s3Key, 'emotion-esmd2/2'),
-        this.runInference(s3Key, 'redness-of-eyes-aju4x/1')
-      ]);
-
-      let emotionLabel = 'Unknown', emotionConf = null;
-      if (emotionResult.predictions && emotionResult.predictions.length > 0) {
-        const pred = emotionResult.predictions[0];
-        emotionLabel = pred.label || pred.class || 'Unknown';
-        emotionConf = pred.confidence || pred.score || null;
-      }
-
-      let rednessLabel = 'Unknown', rednessConf = null;
-      if (rednessResult.predictions && rednessResult.predictions.length > 0) {
-        const pred = rednessResult.predictions[0];
-        rednessLabel = pred.label || pred.class || 'Unknown';
-        rednessConf = pred.confidence || pred.score || null;
-      }
-
-      // Save results
-      await pool.query(
-        `INSERT INTO inference_results (frame_id, emotion_label, emotion_confidence, redness_label, redness_confidence)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [frameId, emotionLabel, emotionConf, rednessLabel, rednessConf]
+  // Roboflow-style predictions as rows: a list (classification, detection) or,
+  // for multi-label classification, an object keyed by class name
+  static normalizePredictions(response, source) {
+    const raw = response.predictions;
+    const list = Array.isArray(raw)
+      ? raw
+      : Object.entries(raw || {}).map(([name, pred]) => ({ class: name, ...pred }));
+
+    return list
+      .map(pred => ({
+        source,
+        class_name: String(pred.class ?? pred.label ?? 'Unknown'),
+        class_id: pred.class_id ?? null,
+        confidence: pred.confidence ?? pred.score ?? null,
+        box_x: pred.x ?? null,
+        box_y: pred.y ?? null,
+        box_width: pred.width ?? null,
+        box_height: pred.height ?? null
+      }))
+      .sort((a, b) => (b.confidence ?? -1) - (a.confidence ?? -1))
+      .map((pred, rank) => ({ ...pred, rank }));
+  }
+
+  // Images a model runs on, as [{ source, s3Key }]. `eyes` is { left, right }
+  // (storage keys, null where there is no crop); it is undefined for frames that
+  // never went through the frame pipeline, which fall back to the full frame.
+  static modelInputs(name, s3Key, eyes) {
+    if (MODEL_INPUTS[name] !== 'eyes' || !eyes) {
+      return [{ source: 'frame', s3Key }];
+    }
+
+    return [['left_eye', eyes.left], ['right_eye', eyes.right]]
+      .filter(([, key]) => key)
+      .map(([source, key]) => ({ source, s3Key: key }));
+  }
+
+  // Run one model on its inputs. Returns the attributes of an inference_results
+  // row, with its `predictions`. `modelId` picks another version or model for
+  // the same name (on-demand re-analysis).
+  static async runModel(name, frameId, s3Key, eyes, modelId = MODELS[name]) {
+    const startTime = Date.now();
+    const { id, version } = parseModelId(modelId);
+    const inputs = this.modelInputs(name, s3Key, eyes);
+
+    const responses = await Promise.all(
+      inputs.map(input => this.runInference({ frameId, s3Key: input.s3Key }, modelId))
+    );
+
+    const errors = responses.filter(response => response.error).map(response => response.error);
+    const predictions = inputs.flatMap((input, i) =>
+      responses[i].error ? [] : this.normalizePredictions(responses[i], input.source)
+    );
+
+    // Most confident top prediction across inputs (e.g. the redder eye)
+    const top = predictions
+      .filter(pred => pred.rank === 0)
+      .reduce((best, pred) => !best || (pred.confidence ?? -1) > (best.confidence ?? -1) ? pred : best, null);
+
+    let status = 'completed';
+    if (inputs.length === 0) status = 'skipped'; // eye model without eye crops
+    else if (errors.length === inputs.length) status = 'failed';
+
+    return {
+      model_name: name,
+      model_id: id,
+      model_version: version,
+      provider: this.provider.id,
+      status,
+      label: status === 'skipped' ? 'NoFace' : top?.class_name ?? null,
+      confidence: top?.confidence ?? null,
+      raw_response: Object.fromEntries(inputs.map((input, i) => [input.source, responses[i]])),
+      error: errors.length > 0 ? errors.join('; ') : null,
+      processing_time_ms: Date.now() - startTime,
+      predictions
+    };
+  }
+
+  // Idempotent per frame + model, model ID and version: a retry or a stalled job that runs
+  // again replaces the earlier result and its predictions instead of adding rows
+  static async saveResult(frameId, result) {
+    const { predictions, ...attributes } = result;
+
+    return await sequelize.transaction(async (transaction) => {
+      const [record] = await InferenceResult.upsert(
+        { ...attributes, frame_id: frameId, processed_at: new Date() },
+        { conflictFields: RESULT_KEY, returning: true, transaction }
       );
 
-      return { emotionLabel, emotionConf, rednessLabel, rednessConf };
+      await InferencePrediction.destroy({ where: { inference_result_id: record.id }, transaction });
+      await InferencePrediction.bulkCreate(
+        predictions.map(pred => ({ ...pred, inference_result_id: record.id })),
+        { transaction }
+      );
+
+      return record;
+    });
+  }
+
+  // Record a job that ran out of retries, for models without a result yet
+  static async saveFailure(frameId, error, processingTime) {
+    await InferenceResult.bulkCreate(
+      Object.entries(MODELS).map(([name, modelId]) => {
+        const { id, version } = parseModelId(modelId);
+        return {
+          frame_id: frameId,
+          model_name: name,
+          model_id: id,
+          model_version: version,
+          provider: INFERENCE_PROVIDER,
+          status: 'failed',
+          error: error.message,
+          processing_time_ms: processingTime
+        };
+      }),
+      { ignoreDuplicates: true }
+    );
+  }
+
+  // Compact per-model view of the results, as broadcast to clients
+  static summarize(results) {
+    const models = Object.fromEntries(results.map(result => [result.model_name, {
+      modelId: result.model_id,
+      version: result.model_version,
+      status: result.status,
+      label: result.label,
+      confidence: result.confidence,
+      // Top prediction per input image, when the model saw more than one
+      ...(Object.keys(result.raw_response).length > 1 && {
+        sources: Object.fromEntries(result.predictions
+          .filter(pred => pred.rank === 0)
+          .map(pred => [pred.source, { label: pred.class_name, confidence: pred.confidence }]))
+      })
+    }]));
+
+    return {
+      models,
+      // Flat fields kept for existing clients
+      emotionLabel: models.emotion?.label ?? 'Unknown',
+      emotionConf: models.emotion?.confidence ?? null,
+      rednessLabel: models.redness?.label ?? 'Unknown',
+      rednessConf: models.redness?.confidence ?? null
+    };
+  }
+
+  static async processFrame(frameId, s3Key, { eyes } = {}) {
+    try {
+      // Models that already have a final result for this frame (from an earlier
+      // attempt of the same job) are not run again
+      const existing = await InferenceResult.findAll({
+        where: { frame_id: frameId, status: FINAL_STATUSES },
+        include: [{ model: InferencePrediction, as: 'predictions' }]
+      });
+      // Keyed like the rows (RESULT_KEY), so a result of another model ID with
+      // the same name and version (e.g. an on-demand analysis) doesn't count
+      const done = new Map(existing.map(record => [
+        `${record.model_name}:${record.model_id}/${record.model_version}`,
+        record.get({ plain: true })
+      ]));
+
+      // Run the remaining models in parallel, saving each result as it arrives
+      const results = await Promise.all(Object.entries(MODELS).map(async ([name, modelId]) => {
+        const { id, version } = parseModelId(modelId);
+        const previous = done.get(`${name}:${id}/${version}`);
+        if (previous) return previous;
+
+        const result = await this.runModel(name, frameId, s3Key, eyes);
+        await this.saveResult(frameId, result);
+        return result;
+      }));
+
+      return this.summarize(results);
     } catch (error) {
       console.error('[InferenceService] Processing error:', error);
       throw error;
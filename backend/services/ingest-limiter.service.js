@@ -0,0 +1,190 @@
+import { redisPub } from '../config/redis.js';
+import { frameQueue, inferenceQueue } from '../queues/queue.config.js';
+
+// Frame ingest budgets. Counters live in Redis so limits hold across API
+// workers and across several sockets of the same session or user.
+export const INGEST_BUDGETS = {
+  session: {
+    fps: parseInt(process.env.INGEST_SESSION_FPS || '5'),
+    bytesPerMin: parseInt(process.env.INGEST_SESSION_BYTES_PER_MIN || String(15 * 1024 * 1024))
+  },
+  user: {
+    fps: parseInt(process.env.INGEST_USER_FPS || '10'),
+    bytesPerMin: parseInt(process.env.INGEST_USER_BYTES_PER_MIN || String(30 * 1024 * 1024))
+  },
+  // Processing backlog (waiting frame + inference jobs): above the soft limit the allowed rate is
+  // scaled down linearly, at the hard limit every frame is dropped
+  queue: {
+    softLimit: parseInt(process.env.INGEST_QUEUE_SOFT_LIMIT || '500'),
+    hardLimit: parseInt(process.env.INGEST_QUEUE_HARD_LIMIT || '2000')
+  }
+};
+
+const QUEUE_DEPTH_CACHE_MS = 1000;
+const THROTTLE_NOTICE_INTERVAL_MS = 1000; // at most one throttle message per socket per second
+
+// Check every budget, then charge all of them only if the frame fits.
+// Returns 0 on success or the 1-based index of the first exceeded budget.
+const CONSUME_SCRIPT = `
+for i, key in ipairs(KEYS) do
+  local current = tonumber(redis.call('GET', key) or '0')
+  if current + tonumber(ARGV[i * 3 - 2]) > tonumber(ARGV[i * 3 - 1]) then
+    return i
+  end
+end
+for i, key in ipairs(KEYS) do
+  redis.call('INCRBY', key, ARGV[i * 3 - 2])
+  redis.call('EXPIRE', key, ARGV[i * 3])
+end
+return 0
+`;
+
+export class IngestLimiter {
+  static queueDepth = { value: 0, checkedAt: 0 };
+
+  static async getQueueDepth() {
+    const now = Date.now();
+    if (now - this.queueDepth.checkedAt > QUEUE_DEPTH_CACHE_MS) {
+      // Inference parents sit in waiting-children until their frame job is done,
+      // so the backlog is what waits in either queue
+      const [frames, inference] = await Promise.all([
+        frameQueue.getWaitingCount(),
+        inferenceQueue.getWaitingCount()
+      ]);
+      this.queueDepth = { value: frames + inference, checkedAt: now };
+    }
+    return this.queueDepth.value;
+  }
+
+  // Session FPS after backlog decimation
+  static effectiveFps(depth) {
+    const { softLimit, hardLimit } = INGEST_BUDGETS.queue;
+    const { fps } = INGEST_BUDGETS.session;
+
+    if (depth <= softLimit) return fps;
+    if (depth >= hardLimit) return 0;
+
+    const scale = 1 - (depth - softLimit) / (hardLimit - softLimit);
+    return Math.max(1, Math.floor(fps * scale));
+  }
+
+  // Decide whether a frame of `bytes` from this client may be ingested.
+  // Returns { allowed, maxFps } plus { reason, retryAfterMs } when rejected.
+  static async admit(clientInfo, bytes) {
+    const stats = this.getClientStats(clientInfo);
+    const depth = await this.getQueueDepth();
+    const fps = this.effectiveFps(depth);
+    const now = Date.now();
+
+    if (fps === 0) {
+      return this.reject(stats, { reason: 'queue_full', maxFps: 0, retryAfterMs: 2000 });
+    }
+
+    const second = Math.floor(now / 1000);
+    const minute = Math.floor(now / 60000);
+    const { session, user } = INGEST_BUDGETS;
+
+    const budgets = [
+      { key: `ingest:session:${clientInfo.sessionId}:fps:${second}`, amount: 1, limit: fps, ttl: 2, reason: 'session_fps' },
+      { key: `ingest:session:${clientInfo.sessionId}:bytes:${minute}`, amount: bytes, limit: session.bytesPerMin, ttl: 120, reason: 'session_bytes' }
+    ];
+
+    if (clientInfo.user) {
+      budgets.push(
+        { key: `ingest:user:${clientInfo.user.id}:fps:${second}`, amount: 1, limit: user.fps, ttl: 2, reason: 'user_fps' },
+        { key: `ingest:user:${clientInfo.user.id}:bytes:${minute}`, amount: bytes, limit: user.bytesPerMin, ttl: 120, reason: 'user_bytes' }
+      );
+    }
+
+    const exceeded = await redisPub.eval(
+      CONSUME_SCRIPT,
+      budgets.length,
+      ...budgets.map(b => b.key),
+      ...budgets.flatMap(b => [b.amount, b.limit, b.ttl])
+    );
+
+    if (exceeded > 0) {
+      const budget = budgets[exceeded - 1];
+      const perMinute = budget.reason.endsWith('bytes');
+
+      return this.reject(stats, {
+        reason: budget.reason,
+        // For byte budgets, the frame rate that fits at this frame size
+        maxFps: perMinute
+          ? Math.min(fps, Math.max(1, Math.floor(budget.limit / bytes / 60)))
+          : Math.min(fps, budget.limit),
+        retryAfterMs: perMinute ? (minute + 1) * 60000 - now : (second + 1) * 1000 - now
+      });
+    }
+
+    stats.accepted++;
+    stats.bytes += bytes;
+    stats.maxFps = fps;
+    return { allowed: true, maxFps: fps };
+  }
+
+  static reject(stats, verdict) {
+    stats.dropped++;
+    stats.droppedSinceNotice++;
+    stats.maxFps = verdict.maxFps;
+    return { allowed: false, ...verdict };
+  }
+
+  // Build a throttle message when the client should hear about it: on every
+  // change of allowed rate, and at most once a second while frames are dropped
+  static throttleNotice(clientInfo, verdict) {
+    const stats = this.getClientStats(clientInfo);
+    const now = Date.now();
+
+    const rateChanged = stats.notifiedFps !== verdict.maxFps;
+    const dropping = !verdict.allowed && now - stats.lastNoticeAt >= THROTTLE_NOTICE_INTERVAL_MS;
+    if (!rateChanged && !dropping) return null;
+
+    // Nothing to say to a client that was never throttled
+    if (verdict.allowed && stats.notifiedFps === null) {
+      stats.notifiedFps = verdict.maxFps;
+      return null;
+    }
+
+    const message = {
+      type: 'throttle',
+      throttled: !verdict.allowed,
+      reason: verdict.reason || null,
+      maxFps: verdict.maxFps,
+      retryAfterMs: verdict.retryAfterMs ?? 0,
+      droppedFrames: stats.droppedSinceNotice
+    };
+
+    stats.notifiedFps = verdict.maxFps;
+    stats.lastNoticeAt = now;
+    stats.droppedSinceNotice = 0;
+    return message;
+  }
+
+  // Per-connection counters, kept on the WebSocket clientInfo
+  static getClientStats(clientInfo) {
+    if (!clientInfo.ingest) {
+      clientInfo.ingest = {
+        accepted: 0,
+        dropped: 0,
+        bytes: 0,
+        maxFps: null,
+        notifiedFps: null,
+        lastNoticeAt: 0,
+        droppedSinceNotice: 0
+      };
+    }
+    return clientInfo.ingest;
+  }
+
+  static async getStatus() {
+    const depth = await this.getQueueDepth();
+    return {
+      budgets: INGEST_BUDGETS,
+      queueDepth: depth,
+      effectiveSessionFps: this.effectiveFps(depth)
+    };
+  }
+}
+
+export default IngestLimiter;
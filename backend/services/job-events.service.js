@@ -0,0 +1,211 @@
+import { QueueEvents } from 'bullmq';
+import { createRedisConnection, redisPub } from '../config/redis.js';
+import { SessionPresence } from './session-presence.service.js';
+import { frameQueue, inferenceQueue, analysisQueue } from '../queues/queue.config.js';
+
+// Per-frame job state for the session that uploaded the frame. Every API
+// process listens to the BullMQ event streams of the frame flow and analysis queues but only
+// reports jobs it enqueued itself; messages are routed through SessionPresence
+// so they reach the session wherever its sockets are.
+//
+//   inference_progress { frameId, stage, state: active|progress|completed, progress }
+//   queue_position     { frameId, stage, position, waiting }   position 1 = next up
+//   inference_failed   { frameId, stage, error }
+//
+// stage is 'processing' (frame worker), 'inference' or 'analysis' (on-demand
+// re-analysis, which also carries the client's requestId; frameId is its first frame).
+export const JOB_EVENTS_CONFIG = {
+  enabled: process.env.JOB_EVENTS_ENABLED !== 'false',
+  positionIntervalMs: parseInt(process.env.QUEUE_POSITION_INTERVAL_MS || '1000'),
+  // Jobs we never hear back about (e.g. events missed during a Redis outage) are dropped after this
+  trackTtlMs: parseInt(process.env.JOB_EVENTS_TRACK_TTL_MS || '600000')
+};
+
+const STAGES = [
+  { queue: frameQueue, stage: 'processing' },
+  { queue: inferenceQueue, stage: 'inference' },
+  { queue: analysisQueue, stage: 'analysis' }
+];
+
+export class JobEventsService {
+  constructor() {
+    this.jobs = new Map(); // Map<`${queueName}:${jobId}`, TrackedJob>
+    this.listeners = [];
+    this.positionTimer = null;
+  }
+
+  start() {
+    if (!JOB_EVENTS_CONFIG.enabled) return;
+
+    for (const { queue, stage } of STAGES) {
+      const connection = createRedisConnection();
+      const events = new QueueEvents(queue.name, { connection });
+
+      events.on('active', ({ jobId }) => this.handleActive(queue.name, jobId));
+      events.on('progress', ({ jobId, data }) => this.handleProgress(queue.name, jobId, data));
+      events.on('completed', ({ jobId, returnvalue }) => this.handleCompleted(queue.name, jobId, returnvalue));
+      events.on('failed', ({ jobId, failedReason }) => this.handleFailed(queue.name, jobId, failedReason));
+      events.on('removed', ({ jobId }) => this.untrack(queue.name, jobId));
+      events.on('error', (error) => {
+        console.error(`[JobEvents] ${stage} events error:`, error.message);
+      });
+
+      this.listeners.push({ queue, stage, events, connection });
+    }
+
+    this.positionTimer = setInterval(() => {
+      this.reportPositions().catch((error) => {
+        console.error('[JobEvents] Queue position error:', error.message);
+      });
+    }, JOB_EVENTS_CONFIG.positionIntervalMs);
+
+    console.log(`[JobEvents] Listening on ${this.listeners.map(l => l.queue.name).join(', ')}`);
+  }
+
+  // Follow both jobs of a frame flow (the return value of addFrameFlow)
+  trackFlow(sessionId, frameId, flow) {
+    if (!JOB_EVENTS_CONFIG.enabled || !sessionId) return;
+
+    this.track(inferenceQueue.name, flow.job.id, { sessionId, frameId, stage: 'inference' });
+    for (const child of flow.children || []) {
+      this.track(frameQueue.name, child.job.id, { sessionId, frameId, stage: 'processing' });
+    }
+  }
+
+  // On-demand analysis job (FrameAnalysisService.enqueue)
+  trackAnalysis(sessionId, job) {
+    if (!JOB_EVENTS_CONFIG.enabled) return;
+
+    const { frameIds, requestId } = job.data;
+    this.track(analysisQueue.name, job.id, { sessionId, frameId: frameIds[0], stage: 'analysis', requestId });
+  }
+
+  track(queueName, jobId, job) {
+    this.jobs.set(`${queueName}:${jobId}`, {
+      ...job,
+      queueName,
+      jobId,
+      active: false,
+      position: null,
+      trackedAt: Date.now()
+    });
+  }
+
+  untrack(queueName, jobId) {
+    this.jobs.delete(`${queueName}:${jobId}`);
+  }
+
+  get(queueName, jobId) {
+    return this.jobs.get(`${queueName}:${jobId}`) || null;
+  }
+
+  handleActive(queueName, jobId) {
+    const job = this.get(queueName, jobId);
+    if (!job) return;
+
+    job.active = true;
+    job.position = null;
+    this.publish(job, 'inference_progress', { state: 'active', progress: 0 });
+  }
+
+  handleProgress(queueName, jobId, progress) {
+    const job = this.get(queueName, jobId);
+    if (!job) return;
+
+    this.publish(job, 'inference_progress', { state: 'progress', progress });
+  }
+
+  handleCompleted(queueName, jobId, result) {
+    const job = this.get(queueName, jobId);
+    if (!job) return;
+
+    this.untrack(queueName, jobId);
+    // Results themselves arrive as inference_complete or blink_detection_result
+    this.publish(job, 'inference_progress', {
+      state: 'completed',
+      progress: 100,
+      ...(result?.skipped && { skipped: result.skipped })
+    });
+  }
+
+  handleFailed(queueName, jobId, failedReason) {
+    const job = this.get(queueName, jobId);
+    if (!job) return;
+
+    this.untrack(queueName, jobId);
+    // A failed frame job fails its inference parent too; the client already
+    // got the child's error
+    if (job.stage === 'inference' && failedReason?.startsWith('child ')) return;
+
+    this.publish(job, 'inference_failed', { error: failedReason || 'Job failed' });
+  }
+
+  // Send the place in line of every tracked waiting job whose place changed.
+  // Workers take jobs from the right of the wait list and new jobs are pushed on
+  // the left, so the job at index i has (length - 1 - i) jobs ahead of it.
+  async reportPositions() {
+    const now = Date.now();
+    const waiting = new Map(); // Map<queueName, TrackedJob[]>
+
+    for (const [key, job] of this.jobs) {
+      if (now - job.trackedAt > JOB_EVENTS_CONFIG.trackTtlMs) {
+        this.jobs.delete(key);
+      } else if (!job.active) {
+        if (!waiting.has(job.queueName)) waiting.set(job.queueName, []);
+        waiting.get(job.queueName).push(job);
+      }
+    }
+
+    for (const { queue } of this.listeners) {
+      const jobs = waiting.get(queue.name);
+      if (!jobs) continue;
+
+      const ids = await redisPub.lrange(queue.keys.wait, 0, -1);
+      const indexes = new Map(ids.map((id, index) => [id, index]));
+
+      for (const job of jobs) {
+        // Not in the wait list: waiting for its child, in backoff or just picked up
+        const index = indexes.get(String(job.jobId));
+        if (index === undefined) continue;
+
+        const position = ids.length - index;
+        if (position === job.position) continue;
+
+        job.position = position;
+        this.publish(job, 'queue_position', { position, waiting: ids.length });
+      }
+    }
+  }
+
+  publish(job, type, data) {
+    const message = {
+      type,
+      frameId: job.frameId,
+      stage: job.stage,
+      jobId: job.jobId,
+      ...(job.requestId && { requestId: job.requestId }),
+      ...data,
+      timestamp: Date.now()
+    };
+
+    SessionPresence.sendToSession(job.sessionId, message).catch((error) => {
+      console.error('[JobEvents] Publish error:', error.message);
+    });
+  }
+
+  getStats() {
+    return { enabled: JOB_EVENTS_CONFIG.enabled, tracked: this.jobs.size };
+  }
+
+  async stop() {
+    clearInterval(this.positionTimer);
+    await Promise.all(this.listeners.map(async ({ events, connection }) => {
+      await events.close();
+      await connection.quit().catch(() => {});
+    }));
+    this.listeners = [];
+    this.jobs.clear();
+  }
+}
+
+export default JobEventsService;
@@ -0,0 +1,93 @@
+// Email templates. Each takes the job's template data and returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greeting = (name) => name ? `Hi ${name},` : 'Hi,';
+
+// Shared HTML shell: a heading, some paragraphs and an optional call-to-action button
+const layout = ({ title, paragraphs, action, footer }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <tr><td>
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+        ${paragraphs.map(p => `<p style="font-size:15px;line-height:1.5;margin:0 0 16px;">${escapeHtml(p)}</p>`).join('\n        ')}
+        ${action ? `<p style="margin:24px 0;">
+          <a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a>
+        </p>
+        <p style="font-size:13px;line-height:1.5;color:#6b7280;margin:0 0 8px;">If the button doesn't work, copy this link into your browser:<br>${escapeHtml(action.url)}</p>` : ''}
+        <p style="font-size:13px;line-height:1.5;color:#6b7280;margin:16px 0 0;">${escapeHtml(footer)}</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+const text = ({ paragraphs, action, footer }) => [
+  ...paragraphs,
+  ...(action ? [`${action.label}: ${action.url}`] : []),
+  footer
+].join('\n\n');
+
+const render = (subject, content) => ({
+  subject,
+  text: text(content),
+  html: layout({ title: subject, ...content })
+});
+
+export const templates = {
+  verification: ({ name, link }) => render('Verify your email address', {
+    paragraphs: [
+      greeting(name),
+      'Thanks for signing up for VisionCare. Please confirm your email address to finish setting up your account.'
+    ],
+    action: { label: 'Verify email', url: link },
+    footer: "If you didn't create an account, you can ignore this email."
+  }),
+
+  passwordReset: ({ name, link, expiresInHours = 1, forcedByAdmin = false }) => render('Reset your password', {
+    paragraphs: [
+      greeting(name),
+      forcedByAdmin
+        ? 'An administrator has reset your VisionCare password. You need to choose a new password before you can log in again.'
+        : 'We received a request to reset your VisionCare password.',
+      `This link expires in ${expiresInHours} hour${expiresInHours === 1 ? '' : 's'}.`
+    ],
+    action: { label: 'Choose a new password', url: link },
+    footer: forcedByAdmin
+      ? 'If you have questions about this reset, contact your administrator.'
+      : "If you didn't request a password reset, you can ignore this email. Your password won't change."
+  }),
+
+  emailChange: ({ name, link, previousEmail }) => render('Confirm your new email address', {
+    paragraphs: [
+      greeting(name),
+      `The email address on your VisionCare account was changed from ${previousEmail} to this address. Please confirm it to keep receiving account emails.`
+    ],
+    action: { label: 'Confirm email', url: link },
+    footer: "If you didn't make this change, reset your password and contact support."
+  }),
+
+  // Sent to the old address, which no longer receives account emails
+  emailChanged: ({ name, newEmail }) => render('Your email address was changed', {
+    paragraphs: [
+      greeting(name),
+      `The email address on your VisionCare account was changed from this address to ${newEmail}. Account emails, including password resets, now go to the new address.`
+    ],
+    footer: "If you didn't make this change, contact support right away so we can secure your account."
+  })
+};
+
+export const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+export default templates;
@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import {
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  SMTP_CONFIG,
+  MAIL_FILE_DIR,
+  PUBLIC_API_URL,
+  PUBLIC_APP_URL
+} from '../config/mail.js';
+import { addEmailJob } from '../queues/queue.config.js';
+import { renderTemplate } from './mail.templates.js';
+
+const TRANSPORTS = {
+  smtp: () => nodemailer.createTransport(SMTP_CONFIG),
+  file: () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' }),
+  memory: () => nodemailer.createTransport({ jsonTransport: true })
+};
+
+export class MailerService {
+  static transporter = null;
+
+  // Messages sent with the memory transport, newest last
+  static outbox = [];
+
+  static getTransporter() {
+    if (!this.transporter) {
+      const create = TRANSPORTS[MAIL_TRANSPORT];
+      if (!create) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+      }
+      this.transporter = create();
+      console.log(`[Mailer] Using ${MAIL_TRANSPORT} transport`);
+    }
+    return this.transporter;
+  }
+
+  // Render and deliver one email right away. Called by the email worker.
+  static async send({ to, template, data }) {
+    const { subject, text, html } = renderTemplate(template, data);
+    const info = await this.getTransporter().sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+    if (MAIL_TRANSPORT === 'file') {
+      await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+      const file = path.join(MAIL_FILE_DIR, `${Date.now()}-${template}.eml`);
+      await fs.writeFile(file, info.message);
+      console.log(`[Mailer] ${template} email to ${to} written to ${file}`);
+    } else if (MAIL_TRANSPORT === 'memory') {
+      this.outbox.push({ ...JSON.parse(info.message), template, data });
+    }
+
+    return { messageId: info.messageId };
+  }
+
+  // Queue an email for the email worker. Never throws: a delivery problem
+  // shouldn't fail the request that triggered it.
+  static async enqueue(template, to, data = {}) {
+    try {
+      // The in-memory outbox only exists in this process, so skip the queue
+      if (MAIL_TRANSPORT === 'memory') {
+        await this.send({ to, template, data });
+        return true;
+      }
+
+      await addEmailJob({ to, template, data });
+      return true;
+    } catch (error) {
+      console.error(`[Mailer] Failed to queue ${template} email to ${to}:`, error.message);
+      return false;
+    }
+  }
+
+  // ==================== AUTH EMAILS ====================
+
+  static async sendVerification(user, token) {
+    return await this.enqueue('verification', user.email, {
+      name: user.name,
+      link: `${PUBLIC_API_URL}/api/auth/verify/${token}`
+    });
+  }
+
+  static async sendPasswordReset(user, token, { expiresInHours = 1, forcedByAdmin = false } = {}) {
+    return await this.enqueue('passwordReset', user.email, {
+      name: user.name,
+      link: `${PUBLIC_APP_URL}/reset-password/${token}`,
+      expiresInHours,
+      forcedByAdmin
+    });
+  }
+
+  static async sendEmailChange(user, token, previousEmail) {
+    return await this.enqueue('emailChange', user.email, {
+      name: user.name,
+      link: `${PUBLIC_API_URL}/api/auth/verify/${token}`,
+      previousEmail
+    });
+  }
+
+  static async sendEmailChangedNotice(user, previousEmail) {
+    return await this.enqueue('emailChanged', previousEmail, {
+      name: user.name,
+      newEmail: user.email
+    });
+  }
+
+  static clearOutbox() {
+    this.outbox = [];
+  }
+}
+
+export default MailerService;
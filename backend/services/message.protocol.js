@@ -0,0 +1,497 @@
+import { MODELS } from '../config/inference.js';
+import { FRAME_PROTOCOLS } from './frame.protocol.js';
+
+// JSON messages on the WebSocket, in both directions.
+//
+// Every message is an object with a `type`. Client messages put their payload
+// in `data` and may carry an `id` (string or integer); the direct reply to that
+// message, or the error it caused, echoes it as `replyTo`. Server messages keep
+// their fields at the top level.
+//
+// Client messages are validated against the schemas below before any handler
+// sees them; failures come back as `error` messages with one of ERROR_CODES and
+// per-field `details`. Server schemas document what clients receive. Both sets
+// are turned into TypeScript for the React client with `npm run ws:types`
+// (scripts/generate-ws-types.js).
+//
+// The protocol version is picked on connect with `?protocolVersion=<n>`
+// (default: the latest) and echoed in the `connection` message. Handshakes
+// asking for a version this server does not speak are refused.
+
+export const PROTOCOL_VERSIONS = [1];
+export const PROTOCOL_VERSION = PROTOCOL_VERSIONS[PROTOCOL_VERSIONS.length - 1];
+
+export const ERROR_CODES = {
+  ERROR: 'Unexpected server error',
+  INVALID_JSON: 'Text message looks like JSON but does not parse',
+  INVALID_MESSAGE: 'Message is not an object with a string type',
+  UNKNOWN_MESSAGE_TYPE: 'No client message with this type',
+  VALIDATION_ERROR: 'Payload does not match the message schema',
+  INVALID_FRAME: 'Camera frame could not be decoded',
+  SESSION_NOT_FOUND: 'Session does not exist (any more)',
+  FRAME_NOT_FOUND: 'Frame does not exist or is not accessible',
+  FRAME_NOT_READY: 'Frame has not been processed yet'
+};
+
+const MAX_ID_LENGTH = 100;
+
+// Sensor subscription topics (services/sensor.service.js)
+export const SENSOR_TOPICS = ['session', 'device', 'aggregate'];
+
+// Schema builders. Schemas are plain objects so the type generator can read them.
+const string = (options = {}) => ({ type: 'string', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = () => ({ type: 'boolean' });
+const any = () => ({ type: 'any' });
+const literal = (...values) => ({ type: 'string', enum: values });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const record = (values) => ({ type: 'record', values });
+const oneOf = (...schemas) => ({ type: 'oneOf', schemas });
+// `required` lists the properties that must be present
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+// Named schemas become their own TypeScript type
+const named = (name, schema) => ({ ...schema, name });
+
+// ==================== SHARED SCHEMAS ====================
+
+const BlinkEvent = named('BlinkEvent', object({
+  timestamp: oneOf(number(), string()),
+  ear: number(),
+  quality: string({ description: "'good' or 'poor'; anything else is stored as unknown" })
+}));
+
+const BlinkStatsEntry = named('BlinkStatsEntry', object({
+  timestamp: oneOf(number(), string()),
+  totalBlinks: integer({ minimum: 0 }),
+  blinksPerMin: nullable(number()),
+  avgBpm: nullable(number()),
+  earValue: nullable(number()),
+  rateStatus: literal('Low', 'Normal', 'High', 'Unknown')
+}, ['totalBlinks']));
+
+const ModelSummary = named('ModelSummary', object({
+  modelId: string(),
+  version: string(),
+  status: literal('completed', 'failed', 'skipped'),
+  label: nullable(string()),
+  confidence: nullable(number()),
+  sources: record(object({ label: nullable(string()), confidence: nullable(number()) }, ['label', 'confidence']))
+}, ['modelId', 'version', 'status', 'label', 'confidence']));
+
+const JobStage = named('JobStage', literal('processing', 'inference', 'analysis'));
+
+const SensorSubscription = named('SensorSubscription', object({
+  topic: literal(...SENSOR_TOPICS),
+  id: string({ minLength: 1, maxLength: MAX_ID_LENGTH, description: 'Session ID (session, aggregate) or device ID' })
+}, ['topic', 'id']));
+
+const subscriptionFields = {
+  topic: literal(...SENSOR_TOPICS),
+  id: string(),
+  subscriptions: array(SensorSubscription)
+};
+const SUBSCRIPTION_FIELDS = ['topic', 'id', 'subscriptions'];
+
+const jobFields = {
+  frameId: nullable(integer()),
+  stage: JobStage,
+  jobId: string(),
+  requestId: string({ description: 'Analysis jobs only' }),
+  timestamp: number()
+};
+const JOB_FIELDS = ['frameId', 'stage', 'jobId', 'timestamp'];
+
+// ==================== CLIENT -> SERVER ====================
+
+// { description, data: schema of `data` or null when it takes none, replies: server types }
+export const CLIENT_MESSAGES = {
+  ping: {
+    description: 'Keep-alive; answered with pong',
+    data: null,
+    replies: ['pong']
+  },
+  get_stats: {
+    description: 'Blink history and frame count of the current session',
+    data: null,
+    replies: ['stats']
+  },
+  request_blink_detection: {
+    description: 'Re-analyze a stored frame (frameId) or an inclusive range of one session\'s frames; the result follows as blink_detection_result',
+    data: object({
+      frameId: integer({ minimum: 1 }),
+      fromFrameId: integer({ minimum: 1 }),
+      toFrameId: integer({ minimum: 1 }),
+      blink: boolean(),
+      model: literal(...Object.keys(MODELS)),
+      modelId: string({ maxLength: 200 }),
+      requestId: string({ maxLength: MAX_ID_LENGTH, description: 'Defaults to the message id' })
+    }),
+    replies: ['blink_detection_queued']
+  },
+  blink_event: {
+    description: 'Blinks detected in the browser',
+    data: oneOf(BlinkEvent, array(BlinkEvent, { maxItems: 500 })),
+    replies: ['blink_ack']
+  },
+  blink_stats: {
+    description: 'Blink statistics computed in the browser',
+    data: oneOf(BlinkStatsEntry, array(BlinkStatsEntry, { maxItems: 500 })),
+    replies: ['blink_ack']
+  },
+  set_blink_detection: {
+    description: 'Opt in/out of server-side blink detection for this connection\'s frames',
+    data: object({ enabled: boolean() }, ['enabled']),
+    replies: ['blink_detection_mode']
+  },
+  set_inference_cadence: {
+    description: 'Minimum gap between frames sent to inference for this connection',
+    data: nullable(object({ intervalMs: nullable(number()) })),
+    replies: ['inference_cadence']
+  },
+  subscribe: {
+    description: 'Receive sensor readings of a session or device, or the rolling averages of a session',
+    data: SensorSubscription,
+    replies: ['subscribed']
+  },
+  unsubscribe: {
+    description: 'Stop a sensor subscription',
+    data: SensorSubscription,
+    replies: ['unsubscribed']
+  }
+};
+
+// ==================== SERVER -> CLIENT ====================
+
+// { description, fields: object schema of everything besides `type` and `replyTo` }
+export const SERVER_MESSAGES = {
+  connection: {
+    description: 'First message on every connection',
+    fields: object({
+      sessionId: string(),
+      userId: nullable(integer()),
+      resumed: boolean(),
+      resumeToken: string(),
+      resumeGracePeriod: integer(),
+      frameProtocol: literal(...FRAME_PROTOCOLS),
+      frameProtocols: array(literal(...FRAME_PROTOCOLS)),
+      protocolVersion: integer(),
+      protocolVersions: array(integer()),
+      message: string()
+    }, ['sessionId', 'userId', 'resumed', 'resumeToken', 'resumeGracePeriod', 'frameProtocol',
+      'frameProtocols', 'protocolVersion', 'protocolVersions', 'message'])
+  },
+  error: {
+    description: 'A message could not be handled',
+    fields: object({
+      code: literal(...Object.keys(ERROR_CODES)),
+      message: string(),
+      details: array(object({ path: string(), message: string() }, ['path', 'message']))
+    }, ['code', 'message'])
+  },
+  pong: {
+    description: 'Reply to ping',
+    fields: object({ timestamp: number() }, ['timestamp'])
+  },
+  stats: {
+    description: 'Reply to get_stats',
+    fields: object({ data: any() }, ['data'])
+  },
+  echo: {
+    description: 'Reply to a plain text message',
+    fields: object({ message: string(), length: integer() }, ['message', 'length'])
+  },
+  frame_received: {
+    description: 'A camera frame was stored and queued',
+    fields: object({
+      frameId: integer(),
+      sequence: nullable(integer()),
+      sessionId: string(),
+      filename: string(),
+      size: integer(),
+      queuedForProcessing: boolean(),
+      queuedForBlinkDetection: boolean()
+    }, ['frameId', 'sequence', 'sessionId', 'filename', 'size', 'queuedForProcessing', 'queuedForBlinkDetection'])
+  },
+  throttle: {
+    description: 'Ingest rate limit changed or frames are being dropped',
+    fields: object({
+      throttled: boolean(),
+      reason: nullable(string()),
+      maxFps: nullable(number()),
+      retryAfterMs: number(),
+      droppedFrames: integer()
+    }, ['throttled', 'reason', 'maxFps', 'retryAfterMs', 'droppedFrames'])
+  },
+  queue_position: {
+    description: 'Place in line of a queued job (1 = next up)',
+    fields: object({ ...jobFields, position: integer(), waiting: integer() }, [...JOB_FIELDS, 'position', 'waiting'])
+  },
+  inference_progress: {
+    description: 'A frame or analysis job started, progressed or completed',
+    fields: object({
+      ...jobFields,
+      state: literal('active', 'progress', 'completed'),
+      progress: number(),
+      skipped: string({ description: 'Why the frame was not inferred' })
+    }, [...JOB_FIELDS, 'state', 'progress'])
+  },
+  inference_failed: {
+    description: 'A frame or analysis job ran out of retries',
+    fields: object({ ...jobFields, error: string() }, [...JOB_FIELDS, 'error'])
+  },
+  inference_complete: {
+    description: 'Model results of an uploaded frame',
+    fields: object({
+      frameId: integer(),
+      models: record(ModelSummary),
+      emotionLabel: string(),
+      emotionConf: nullable(number()),
+      rednessLabel: string(),
+      rednessConf: nullable(number()),
+      processingTime: number()
+    }, ['frameId', 'models', 'emotionLabel', 'emotionConf', 'rednessLabel', 'rednessConf', 'processingTime'])
+  },
+  blink_ack: {
+    description: 'Reply to blink_event and blink_stats',
+    fields: object({ saved: integer(), newBlinks: integer(), totalBlinks: integer() }, ['saved', 'newBlinks', 'totalBlinks'])
+  },
+  blink_update: {
+    description: 'Latest blink statistics of the session (server-side detection or client reports)',
+    fields: object({
+      totalBlinks: integer(),
+      blinksPerMin: nullable(number()),
+      avgBpm: nullable(number()),
+      rateStatus: literal('Low', 'Normal', 'High', 'Unknown'),
+      earValue: nullable(number()),
+      calibrated: boolean(),
+      frameId: integer(),
+      blinkDetected: boolean(),
+      source: literal('server', 'client'),
+      timestamp: number()
+    }, ['totalBlinks'])
+  },
+  blink_detection_mode: {
+    description: 'Reply to set_blink_detection',
+    fields: object({ serverBlinkDetection: boolean() }, ['serverBlinkDetection'])
+  },
+  inference_cadence: {
+    description: 'Reply to set_inference_cadence',
+    fields: object({ intervalMs: integer() }, ['intervalMs'])
+  },
+  blink_detection_queued: {
+    description: 'Reply to request_blink_detection',
+    fields: object({
+      requestId: nullable(string()),
+      jobId: string(),
+      frameId: integer(),
+      frameCount: integer(),
+      blink: boolean(),
+      model: nullable(string()),
+      modelId: nullable(string())
+    }, ['requestId', 'jobId', 'frameId', 'frameCount', 'blink', 'model', 'modelId'])
+  },
+  blink_detection_result: {
+    description: 'Result of request_blink_detection',
+    fields: object({
+      requestId: nullable(string()),
+      jobId: string(),
+      model: nullable(string()),
+      modelId: nullable(string()),
+      frameCount: integer(),
+      blink: object({
+        baseline: nullable(number()),
+        threshold: nullable(number()),
+        calibrated: boolean(),
+        blinkCount: integer(),
+        blinks: array(object({ frameId: integer(), timestamp: number() }, ['frameId', 'timestamp']))
+      }, ['baseline', 'threshold', 'calibrated', 'blinkCount', 'blinks']),
+      frames: array(object({
+        frameId: integer(),
+        timestamp: string(),
+        ear: nullable(number()),
+        eyeState: nullable(literal('open', 'closed')),
+        blink: boolean(),
+        inference: ModelSummary
+      }, ['frameId', 'timestamp'])),
+      processingTime: number()
+    }, ['requestId', 'jobId', 'model', 'modelId', 'frameCount', 'frames', 'processingTime'])
+  },
+  subscribed: {
+    description: 'Reply to subscribe, with all subscriptions of the connection',
+    fields: object(subscriptionFields, SUBSCRIPTION_FIELDS)
+  },
+  unsubscribed: {
+    description: 'Reply to unsubscribe, with the remaining subscriptions of the connection',
+    fields: object(subscriptionFields, SUBSCRIPTION_FIELDS)
+  },
+  sensor_update: {
+    description: 'New sensor reading of a subscribed session or device',
+    fields: object({
+      id: integer(),
+      sessionId: nullable(string()),
+      deviceId: nullable(string()),
+      temp: nullable(number()),
+      hum: nullable(number()),
+      ldr: nullable(number()),
+      timestamp: string()
+    }, ['id', 'sessionId', 'deviceId', 'temp', 'hum', 'ldr', 'timestamp'])
+  },
+  sensor_aggregate: {
+    description: 'Rolling averages of a subscribed session\'s sensor readings',
+    fields: object({
+      sessionId: string(),
+      avgTemp: number(),
+      avgHum: number(),
+      avgLdr: number(),
+      count: integer(),
+      timeWindow: number({ description: 'Seconds' }),
+      timestamp: number()
+    }, ['sessionId', 'avgTemp', 'avgHum', 'avgLdr', 'count', 'timeWindow', 'timestamp'])
+  },
+  server_shutdown: {
+    description: 'The server is going away; reconnect and resume the session',
+    fields: object({ message: string() }, ['message'])
+  }
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  record: 'an object'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasType = (type, value) => {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object':
+    case 'record': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+};
+
+export class MessageProtocol {
+  // Version for `?protocolVersion=`; null if it is not one we speak
+  static negotiate(requested) {
+    if (requested === null || requested === undefined || requested === '') return PROTOCOL_VERSION;
+    const version = Number(requested);
+    return PROTOCOL_VERSIONS.includes(version) ? version : null;
+  }
+
+  // Problems with `value` as [{ path, message }]; empty when it matches
+  static validate(schema, value, path = 'data') {
+    if (value === null && schema.nullable) return [];
+    if (!hasType(schema.type, value)) {
+      return [{ path, message: `must be ${TYPE_NAMES[schema.type]}${schema.nullable ? ' or null' : ''}` }];
+    }
+
+    switch (schema.type) {
+      case 'string':
+        if (schema.enum && !schema.enum.includes(value)) {
+          return [{ path, message: `must be one of ${schema.enum.join(', ')}` }];
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+          return [{ path, message: `must be at least ${schema.minLength} characters` }];
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+          return [{ path, message: `must be at most ${schema.maxLength} characters` }];
+        }
+        return [];
+
+      case 'integer':
+      case 'number':
+        if (schema.minimum !== undefined && value < schema.minimum) {
+          return [{ path, message: `must be at least ${schema.minimum}` }];
+        }
+        return [];
+
+      case 'array':
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          return [{ path, message: `must have at most ${schema.maxItems} items` }];
+        }
+        return value.flatMap((item, index) => this.validate(schema.items, item, `${path}[${index}]`));
+
+      case 'record':
+        return Object.entries(value).flatMap(([key, item]) => this.validate(schema.values, item, `${path}.${key}`));
+
+      case 'object': {
+        // Unknown properties are ignored, so older servers accept newer clients
+        const missing = schema.required
+          .filter(key => value[key] === undefined)
+          .map(key => ({ path: `${path}.${key}`, message: 'is required' }));
+        const invalid = Object.entries(schema.properties)
+          .filter(([key]) => value[key] !== undefined)
+          .flatMap(([key, property]) => this.validate(property, value[key], `${path}.${key}`));
+        return [...missing, ...invalid];
+      }
+
+      case 'oneOf': {
+        const candidates = schema.schemas.filter(option => hasType(option.type, value));
+        if (candidates.length === 0) {
+          const names = [...new Set(schema.schemas.map(option => TYPE_NAMES[option.type]))];
+          return [{ path, message: `must be ${names.join(' or ')}` }];
+        }
+
+        // Report the problems of the closest match (fewest of them)
+        const attempts = candidates.map(option => this.validate(option, value, path));
+        return attempts.some(problems => problems.length === 0)
+          ? []
+          : attempts.reduce((best, problems) => problems.length < best.length ? problems : best);
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  // Check a parsed client message. Returns { message } or
+  // { error: { code, message, details?, replyTo? } }.
+  static parse(message) {
+    if (!isPlainObject(message) || typeof message.type !== 'string') {
+      return { error: { code: 'INVALID_MESSAGE', message: 'Messages must be objects with a string type' } };
+    }
+
+    const { type, id, data } = message;
+    const validId = id === undefined ||
+      (typeof id === 'string' && id.length <= MAX_ID_LENGTH) || Number.isInteger(id);
+    if (!validId) {
+      return { error: { code: 'INVALID_MESSAGE', message: `id must be a string of at most ${MAX_ID_LENGTH} characters or an integer` } };
+    }
+
+    const replyTo = id;
+    const definition = Object.hasOwn(CLIENT_MESSAGES, type) ? CLIENT_MESSAGES[type] : null;
+    if (!definition) {
+      return { error: { code: 'UNKNOWN_MESSAGE_TYPE', message: `Unknown message type: ${type}`, replyTo } };
+    }
+
+    // Messages without a payload ignore whatever `data` they carry
+    const details = definition.data && (data !== undefined || !definition.data.nullable)
+      ? this.validate(definition.data, data ?? null)
+      : [];
+    if (details.length > 0) {
+      return {
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Invalid ${type} message: ${details.map(d => `${d.path} ${d.message}`).join('; ')}`,
+          details,
+          replyTo
+        }
+      };
+    }
+
+    return { message: { type, id, data } };
+  }
+}
+
+export default MessageProtocol;
@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { LOCAL_MODEL_DIR } from '../../config/inference.js';
+import { getFile } from '../../config/s3.js';
+import { StorageService } from '../storage.service.js';
+
+// Offline inference with TensorFlow.js on CPU.
+//
+// Each model lives in its own directory under LOCAL_MODEL_DIR, named after the
+// model ID with '/' replaced by '__' (e.g. ml-models/emotion-esmd2__2/):
+//   model.json + weight shards   - a tfjs graph or layers model
+//   metadata.json                - { "format": "graph" | "layers", "labels": [...],
+//                                    "inputSize": [224, 224], "scale": 255 }
+//
+// The model must take a [1, h, w, 3] float image and return class scores.
+export class LocalProvider {
+  static id = 'local';
+  static models = new Map(); // modelId -> Promise<{ model, metadata }>
+  static tf = null;
+
+  static async loadTf() {
+    if (!this.tf) {
+      // Loaded lazily so Roboflow-only deployments never pull in the native binding
+      this.tf = await import('@tensorflow/tfjs-node');
+    }
+    return this.tf;
+  }
+
+  static modelPath(modelId) {
+    return path.join(LOCAL_MODEL_DIR, modelId.replace(/\//g, '__'));
+  }
+
+  static loadModel(modelId) {
+    if (!this.models.has(modelId)) {
+      const loading = (async () => {
+        const tf = await this.loadTf();
+        const dir = this.modelPath(modelId);
+        const metadata = JSON.parse(await fs.readFile(path.join(dir, 'metadata.json'), 'utf-8'));
+        const modelUrl = `file://${path.join(dir, 'model.json')}`;
+
+        const model = metadata.format === 'layers'
+          ? await tf.loadLayersModel(modelUrl)
+          : await tf.loadGraphModel(modelUrl);
+
+        console.log(`[LocalProvider] Loaded ${modelId} from ${dir}`);
+        return { model, metadata };
+      })();
+
+      // Don't cache failures, a model dropped in later should still load
+      loading.catch(() => this.models.delete(modelId));
+      this.models.set(modelId, loading);
+    }
+    return this.models.get(modelId);
+  }
+
+  static async predict({ frameId, s3Key, buffer }, modelId) {
+    const tf = await this.loadTf();
+    const { model, metadata } = await this.loadModel(modelId);
+    const image = buffer || (s3Key ? await getFile(s3Key) : await StorageService.getFrameBuffer(frameId));
+
+    const [height, width] = metadata.inputSize || [224, 224];
+    const scale = metadata.scale || 255;
+    const labels = metadata.labels || [];
+
+    const scores = tf.tidy(() => {
+      const input = tf.node.decodeImage(image, 3)
+        .resizeBilinear([height, width])
+        .toFloat()
+        .div(scale)
+        .expandDims(0);
+
+      const output = model.predict(input);
+      return (Array.isArray(output) ? output[0] : output).squeeze();
+    });
+
+    const values = await scores.data();
+    scores.dispose();
+
+    // Same shape as a Roboflow classification response
+    const predictions = Array.from(values)
+      .map((confidence, index) => ({
+        class: labels[index] ?? String(index),
+        class_id: index,
+        confidence
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    return {
+      predictions,
+      top: predictions[0]?.class,
+      confidence: predictions[0]?.confidence
+    };
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,34 @@
+import { ROBOFLOW_API_URL, ROBOFLOW_API_KEY } from '../../config/inference.js';
+import { getSignedUrlForFrame, getFile } from '../../config/s3.js';
+
+// Hosted inference through the Roboflow serverless API.
+// Roboflow fetches the image itself when storage can give us a URL; otherwise
+// (local storage) the image is uploaded base64-encoded in the request body.
+export class RoboflowProvider {
+  static id = 'roboflow';
+
+  static async predict({ s3Key }, modelId) {
+    if (!ROBOFLOW_API_KEY) {
+      throw new Error('ROBOFLOW_API_KEY is not set');
+    }
+
+    const signedUrl = await getSignedUrlForFrame(s3Key);
+    const endpoint = `${ROBOFLOW_API_URL}/${modelId}?api_key=${ROBOFLOW_API_KEY}`;
+
+    const response = signedUrl
+      ? await fetch(`${endpoint}&image=${encodeURIComponent(signedUrl)}`, { method: 'POST' })
+      : await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: (await getFile(s3Key)).toString('base64')
+        });
+
+    if (!response.ok) {
+      throw new Error(`Roboflow responded with ${response.status}`);
+    }
+
+    return await response.json();
+  }
+}
+
+export default RoboflowProvider;
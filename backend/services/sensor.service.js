@@ -0,0 +1,136 @@
+import { redisPub } from '../config/redis.js';
+import { Session, DatabaseHelpers } from '../models/database.models.js';
+import { canAccessSession } from '../middleware/access.middleware.js';
+
+// Live sensor readings over the WebSocket. Clients subscribe to topics
+// (`subscribe` / `unsubscribe` messages):
+//
+//   session    readings posted with that sessionId          -> sensor_update
+//   device     readings posted by that deviceId             -> sensor_update
+//   aggregate  rolling averages of one session's readings   -> sensor_aggregate
+//
+// Readings go to every API instance on the `sensor-updates` channel together
+// with the owner of their session; each instance hands them only to its
+// subscribers that may see that session (see canReceive). A reading without a
+// session is only visible to admins.
+export const SENSOR_CONFIG = {
+  aggregateWindowMs: parseInt(process.env.SENSOR_AGGREGATE_WINDOW_MS || '300000'),
+  // At most one sensor_aggregate per session per interval
+  aggregateIntervalMs: parseInt(process.env.SENSOR_AGGREGATE_INTERVAL_MS || '5000'),
+  maxSubscriptions: parseInt(process.env.SENSOR_MAX_SUBSCRIPTIONS || '20')
+};
+
+const CHANNEL = 'sensor-updates';
+
+const aggregateLockKey = (sessionId) => `sensor:aggregate:${sessionId}`;
+
+export const subscriptionKey = ({ topic, id }) => `${topic}:${id}`;
+
+export class SensorService {
+  // Owner of the session a reading was posted for; undefined if there is no such session
+  static async getSessionOwner(sessionId) {
+    if (!sessionId) return undefined;
+
+    const session = await Session.findOne({ where: { session_id: sessionId }, attributes: ['user_id'] });
+    return session ? session.user_id : undefined;
+  }
+
+  // Send a stored reading to its subscribers, followed by the session's
+  // aggregate when one is due
+  static async publishReading(reading) {
+    const sessionId = reading.session_id;
+    const deviceId = reading.device_id;
+    const sessionUserId = await this.getSessionOwner(sessionId);
+
+    // Readings naming an unknown session are treated as having none
+    const known = sessionUserId !== undefined;
+    const route = {
+      sessionId: known ? sessionId : null,
+      deviceId,
+      sessionUserId: known ? sessionUserId : null
+    };
+
+    await redisPub.publish(CHANNEL, JSON.stringify({
+      ...route,
+      message: {
+        type: 'sensor_update',
+        id: reading.id,
+        sessionId: route.sessionId,
+        deviceId,
+        temp: reading.temp,
+        hum: reading.hum,
+        ldr: reading.ldr,
+        timestamp: reading.timestamp
+      }
+    }));
+
+    if (known) {
+      await this.publishAggregate(route);
+    }
+  }
+
+  static async publishAggregate({ sessionId, sessionUserId }) {
+    // Whichever instance takes the lock computes the aggregate for this interval
+    const due = await redisPub.set(aggregateLockKey(sessionId), '1', 'PX', SENSOR_CONFIG.aggregateIntervalMs, 'NX');
+    if (!due) return;
+
+    const aggregate = await DatabaseHelpers.getSensorAggregates(sessionId, SENSOR_CONFIG.aggregateWindowMs);
+    if (!aggregate) return;
+
+    await redisPub.publish(CHANNEL, JSON.stringify({
+      aggregate: true,
+      sessionId,
+      deviceId: null,
+      sessionUserId,
+      message: {
+        type: 'sensor_aggregate',
+        sessionId,
+        ...aggregate,
+        timestamp: Date.now()
+      }
+    }));
+  }
+
+  // Check a subscribe request. The connection's own session is always allowed;
+  // other sessions need canAccessSession. Device subscriptions are open, their
+  // readings are filtered per session. Returns { error, code } or { subscription }.
+  static async authorizeSubscription({ topic, id }, clientInfo) {
+    const subscription = { topic, id };
+
+    if (topic === 'device' || id === clientInfo.sessionId) {
+      return { subscription };
+    }
+
+    const session = await Session.findOne({ where: { session_id: id } });
+    if (!session || !canAccessSession(clientInfo.user, session)) {
+      return { error: 'Session not found', code: 'SESSION_NOT_FOUND' };
+    }
+
+    return { subscription };
+  }
+
+  // Whether the connection subscribed to this update
+  static matches(subscriptions, update) {
+    if (update.aggregate) {
+      return subscriptions.has(subscriptionKey({ topic: 'aggregate', id: update.sessionId }));
+    }
+
+    return (update.sessionId !== null && subscriptions.has(subscriptionKey({ topic: 'session', id: update.sessionId }))) ||
+      (update.deviceId !== null && subscriptions.has(subscriptionKey({ topic: 'device', id: update.deviceId })));
+  }
+
+  // Whether the connection's user may see readings of the update's session
+  static canReceive(clientInfo, update) {
+    if (update.sessionId !== null && update.sessionId === clientInfo.sessionId) return true;
+    return canAccessSession(clientInfo.user, update.sessionId === null ? null : { user_id: update.sessionUserId });
+  }
+
+  // The message for this connection, or null if it should not get the update
+  static messageFor(clientInfo, update) {
+    const subscriptions = clientInfo.subscriptions;
+    if (!subscriptions?.size || !this.matches(subscriptions, update)) return null;
+    return this.canReceive(clientInfo, update) ? update.message : null;
+  }
+}
+
+export default SensorService;
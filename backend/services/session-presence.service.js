@@ -0,0 +1,257 @@
+import os from 'os';
+import { redisPub } from '../config/redis.js';
+
+// Cluster-wide view of WebSocket sessions. Every API process keeps its own
+// sockets, but which process holds which session, the resume token and the
+// per-session counters live in Redis, so any process can resume a session,
+// route a message to it or report on all of them.
+//
+//   ws:session:<id>            hash: userId, connectedAt, resumeToken, frameCount, blinkCount
+//   ws:session:<id>:sockets    hash: instance -> open sockets of the session on it
+//   ws:sessions                set of live session IDs (connected or awaiting resume)
+//   ws:disconnected            zset: session ID -> time its last socket closed
+//   ws:instances               zset: instance -> last heartbeat
+//   ws:instance:<instance>     stats snapshot of the instance (expires)
+//   ws:instance:<instance>:sessions  sessions with sockets on the instance
+//
+// Messages for a session are published on `ws:deliver:<instance>` for every
+// instance holding one of its sockets (WebSocketService.handleDelivery).
+export const PRESENCE_CONFIG = {
+  heartbeatMs: parseInt(process.env.PRESENCE_HEARTBEAT_MS || '5000'),
+  // An instance that has not reported for this long is considered dead and its sockets gone
+  instanceTtlMs: parseInt(process.env.PRESENCE_INSTANCE_TTL_MS || '15000')
+};
+
+// Unique per process; a restarted PM2 worker must not inherit its predecessor's sockets
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const SESSIONS_KEY = 'ws:sessions';
+const DISCONNECTED_KEY = 'ws:disconnected';
+const INSTANCES_KEY = 'ws:instances';
+
+const sessionKey = (sessionId) => `ws:session:${sessionId}`;
+const socketsKey = (sessionId) => `ws:session:${sessionId}:sockets`;
+const instanceKey = (instanceId) => `ws:instance:${instanceId}`;
+const instanceSessionsKey = (instanceId) => `ws:instance:${instanceId}:sessions`;
+
+// Drop one socket of a session on an instance. Returns 1 when the session has
+// no sockets left anywhere (it is then marked disconnected), otherwise 0.
+// KEYS: sockets, instance sessions, disconnected. ARGV: instance, session, now, count
+const RELEASE_SCRIPT = `
+local left = redis.call('HINCRBY', KEYS[1], ARGV[1], -tonumber(ARGV[4]))
+if left <= 0 then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+  redis.call('SREM', KEYS[2], ARGV[2])
+end
+for _, count in ipairs(redis.call('HVALS', KEYS[1])) do
+  if tonumber(count) > 0 then return 0 end
+end
+redis.call('ZADD', KEYS[3], ARGV[3], ARGV[2])
+return 1
+`;
+
+// End a disconnected session unless a socket came back. Only one caller gets 1.
+// KEYS: session, sockets, sessions, disconnected. ARGV: session
+const END_SCRIPT = `
+for _, count in ipairs(redis.call('HVALS', KEYS[2])) do
+  if tonumber(count) > 0 then
+    redis.call('ZREM', KEYS[4], ARGV[1])
+    return 0
+  end
+end
+if redis.call('ZREM', KEYS[4], ARGV[1]) == 0 then return 0 end
+redis.call('DEL', KEYS[1], KEYS[2])
+redis.call('SREM', KEYS[3], ARGV[1])
+return 1
+`;
+
+const toInt = (value) => (value === undefined || value === null ? null : parseInt(value));
+
+export class SessionPresence {
+  static deliveryChannel(instanceId = INSTANCE_ID) {
+    return `ws:deliver:${instanceId}`;
+  }
+
+  // A socket of the session opened on this instance. New sessions get their
+  // counters; a resumed one keeps them and gets the new resume token.
+  static async connect(sessionId, { userId, resumeToken }) {
+    await redisPub.multi()
+      .hsetnx(sessionKey(sessionId), 'connectedAt', Date.now())
+      .hsetnx(sessionKey(sessionId), 'frameCount', 0)
+      .hsetnx(sessionKey(sessionId), 'blinkCount', 0)
+      .hset(sessionKey(sessionId), 'userId', userId ?? '', 'resumeToken', resumeToken)
+      .hincrby(socketsKey(sessionId), INSTANCE_ID, 1)
+      .sadd(SESSIONS_KEY, sessionId)
+      .sadd(instanceSessionsKey(INSTANCE_ID), sessionId)
+      .zrem(DISCONNECTED_KEY, sessionId)
+      .exec();
+  }
+
+  // A socket of the session closed on this instance. Returns true when the
+  // session has no sockets left on any instance.
+  static async disconnect(sessionId, instanceId = INSTANCE_ID, count = 1) {
+    const orphaned = await redisPub.eval(
+      RELEASE_SCRIPT,
+      3,
+      socketsKey(sessionId),
+      instanceSessionsKey(instanceId),
+      DISCONNECTED_KEY,
+      instanceId,
+      sessionId,
+      Date.now(),
+      count
+    );
+    return orphaned === 1;
+  }
+
+  // { token, userId } of a live session (connected or awaiting resume), or null
+  static async getResume(sessionId) {
+    const [token, userId] = await redisPub.hmget(sessionKey(sessionId), 'resumeToken', 'userId');
+    return token ? { token, userId: userId ? parseInt(userId) : null } : null;
+  }
+
+  static async increment(sessionId, field, by = 1) {
+    // Only for live sessions, so a late update cannot resurrect an ended one
+    if (await redisPub.sismember(SESSIONS_KEY, sessionId)) {
+      await redisPub.hincrby(sessionKey(sessionId), field, by);
+    }
+  }
+
+  static async update(sessionId, fields) {
+    if (await redisPub.sismember(SESSIONS_KEY, sessionId)) {
+      await redisPub.hset(sessionKey(sessionId), fields);
+    }
+  }
+
+  // Presence of one session, or null if it is not live
+  static async get(sessionId) {
+    const [session] = await this.getMany([sessionId]);
+    return session;
+  }
+
+  // Same order as `sessionIds`, null for sessions that are not live
+  static async getMany(sessionIds) {
+    if (sessionIds.length === 0) return [];
+
+    const pipeline = redisPub.pipeline();
+    for (const sessionId of sessionIds) {
+      pipeline.hgetall(sessionKey(sessionId));
+      pipeline.hgetall(socketsKey(sessionId));
+      pipeline.zscore(DISCONNECTED_KEY, sessionId);
+    }
+    const results = await pipeline.exec();
+
+    return sessionIds.map((sessionId, index) => {
+      const [[, session], [, sockets], [, disconnectedAt]] = results.slice(index * 3, index * 3 + 3);
+      if (!session?.connectedAt) return null;
+
+      const instances = Object.entries(sockets || {})
+        .map(([instance, count]) => ({ instance, connections: parseInt(count) }))
+        .filter(entry => entry.connections > 0);
+
+      return {
+        sessionId,
+        userId: toInt(session.userId || null),
+        connectedAt: toInt(session.connectedAt),
+        frameCount: toInt(session.frameCount) ?? 0,
+        blinkCount: toInt(session.blinkCount) ?? 0,
+        connections: instances.reduce((sum, entry) => sum + entry.connections, 0),
+        instances,
+        awaitingResume: disconnectedAt !== null,
+        disconnectedAt: toInt(disconnectedAt)
+      };
+    });
+  }
+
+  static async getSessionIds() {
+    return await redisPub.smembers(SESSIONS_KEY);
+  }
+
+  static async count() {
+    const [sessions, awaitingResume] = await Promise.all([
+      redisPub.scard(SESSIONS_KEY),
+      redisPub.zcard(DISCONNECTED_KEY)
+    ]);
+    return { sessions, awaitingResume };
+  }
+
+  // Publish a message to every instance holding a socket of the session.
+  // Usable from any process (workers included). Returns the number of instances.
+  static async sendToSession(sessionId, message) {
+    const instances = await redisPub.hkeys(socketsKey(sessionId));
+    const payload = JSON.stringify({ sessionId, message });
+    await Promise.all(instances.map(instance => redisPub.publish(this.deliveryChannel(instance), payload)));
+    return instances.length;
+  }
+
+  // Report this instance as alive with a stats snapshot
+  static async heartbeat(snapshot) {
+    const now = Date.now();
+    await redisPub.multi()
+      .zadd(INSTANCES_KEY, now, INSTANCE_ID)
+      .set(instanceKey(INSTANCE_ID), JSON.stringify({ ...snapshot, instance: INSTANCE_ID, reportedAt: now }),
+        'PX', PRESENCE_CONFIG.instanceTtlMs)
+      .exec();
+  }
+
+  // Forget instances that stopped reporting: their sockets are gone, so their
+  // sessions are disconnected from them (and may now be awaiting resume)
+  static async reapInstances() {
+    const dead = await redisPub.zrangebyscore(INSTANCES_KEY, '-inf', Date.now() - PRESENCE_CONFIG.instanceTtlMs);
+    for (const instanceId of dead) {
+      await this.removeInstance(instanceId);
+      console.warn(`[SessionPresence] Removed instance ${instanceId} (no heartbeat)`);
+    }
+    return dead;
+  }
+
+  // Release every socket an instance held (it is shutting down or dead)
+  static async removeInstance(instanceId = INSTANCE_ID) {
+    const sessionIds = await redisPub.smembers(instanceSessionsKey(instanceId));
+    for (const sessionId of sessionIds) {
+      const count = parseInt(await redisPub.hget(socketsKey(sessionId), instanceId) || '0');
+      await this.disconnect(sessionId, instanceId, Math.max(count, 1));
+    }
+
+    await redisPub.multi()
+      .del(instanceSessionsKey(instanceId), instanceKey(instanceId))
+      .zrem(INSTANCES_KEY, instanceId)
+      .exec();
+  }
+
+  // End sessions without sockets for longer than the resume grace period.
+  // Returns the sessions this call ended; each one is ended by exactly one instance.
+  static async endExpired(graceMs) {
+    const expired = await redisPub.zrangebyscore(DISCONNECTED_KEY, '-inf', Date.now() - graceMs);
+    const ended = [];
+    for (const sessionId of expired) {
+      if (await this.end(sessionId)) ended.push(sessionId);
+    }
+    return ended;
+  }
+
+  // Remove a disconnected session; false if a socket came back or it is already gone
+  static async end(sessionId) {
+    const ended = await redisPub.eval(
+      END_SCRIPT,
+      4,
+      sessionKey(sessionId),
+      socketsKey(sessionId),
+      SESSIONS_KEY,
+      DISCONNECTED_KEY,
+      sessionId
+    );
+    return ended === 1;
+  }
+
+  // Latest stats snapshot of every live instance
+  static async getInstances() {
+    const instanceIds = await redisPub.zrangebyscore(INSTANCES_KEY, Date.now() - PRESENCE_CONFIG.instanceTtlMs, '+inf');
+    if (instanceIds.length === 0) return [];
+
+    const snapshots = await redisPub.mget(instanceIds.map(instanceKey));
+    return snapshots.filter(Boolean).map(snapshot => JSON.parse(snapshot));
+  }
+}
+
+export default SessionPresence;
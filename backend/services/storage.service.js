@@ -1,58 +1,146 @@
-import { uploadToS3, getFile, getSignedUrlForFrame, cleanupOldFiles } from '../config/s3.js';
-import { Frame } from '../models/database.models.js';
-import sharp from 'sharp';
+import {
+  storage,
+  putObject,
+  uploadToS3,
+  deleteObject,
+  getFile,
+  getFileStream,
+  getSignedUrlForFrame,
+  cleanupOldFiles,
+  SIGNED_URL_TTL,
+  SIGNED_URL_MAX_TTL
+} from '../config/s3.js';
+import { Frame, FrameAsset } from '../models/database.models.js';
+
+// Derived images the frame worker stores next to each frame (FrameAsset.kind)
+export const FRAME_ASSET_KINDS = ['thumbnail', 'face', 'left_eye', 'right_eye'];
+
+const RAW_CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  png: 'image/png'
+};
 
 export class StorageService {
   static async initialize() {
     // Just log, don't fail
-    console.log('[StorageService] Initialized with S3 Ninja');
+    console.log(`[StorageService] Initialized with ${storage.id} storage`);
     return true;
   }
 
-  static async saveFrame(buffer, filename, sessionId = null) {
+  // Store a client upload as-is; the frame worker turns it into the stored frame
+  static async saveRawFrame(buffer, filename, sessionId = null, { capturedAt = null, codec = null } = {}) {
     try {
-      // Optimize image
-      const optimizedBuffer = await sharp(buffer)
-        .resize(640, 480, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .jpeg({ 
-          quality: 75,
-          progressive: true
-        })
-        .toBuffer();
-
-      console.log(`[Storage] Compressed ${filename}: ${buffer.length} -> ${optimizedBuffer.length} bytes`);
-
-      // Upload to S3 Ninja
-      const storageInfo = await uploadToS3(optimizedBuffer, filename);
-
-      // Save to database
+      const storageInfo = await putObject(`frames/raw/${filename}`, buffer, RAW_CONTENT_TYPES[codec] || 'application/octet-stream');
+
       const result = await Frame.create({
         filename,
         s3_key: storageInfo.key,
+        raw_s3_key: storageInfo.key,
         session_id: sessionId,
         file_size: storageInfo.size,
-        storage_location: 's3'
+        status: 'uploaded',
+        captured_at: capturedAt ? new Date(capturedAt) : null
       });
 
-      return { 
-        frameId: result.id, 
-        s3Key: storageInfo.key,
-        location: 's3',
+      return {
+        frameId: result.id,
+        rawKey: storageInfo.key,
+        location: storageInfo.location,
         size: storageInfo.size
       };
     } catch (error) {
-      console.error('[StorageService] Error saving frame:', error);
+      console.error('[StorageService] Error saving raw frame:', error);
       throw error;
     }
   }
 
-  static async getFrameUrl(frameId) {
+  // Store the processed frame image in place of the raw upload
+  static async saveProcessedFrame(frame, image, { metadata } = {}) {
+    const storageInfo = await uploadToS3(image.buffer, frame.filename);
+
+    await frame.update({
+      s3_key: storageInfo.key,
+      file_size: storageInfo.size,
+      width: image.width,
+      height: image.height,
+      status: 'ready',
+      metadata
+    });
+
+    return storageInfo.key;
+  }
+
+  // Store a derived image (thumbnail, face crop, ...) and link it to the frame.
+  // Re-running for the same frame and kind replaces the previous asset.
+  static async saveAsset(frame, kind, image) {
+    const storageInfo = await putObject(`frames/${kind}/${frame.filename}`, image.buffer);
+
+    await FrameAsset.upsert({
+      frame_id: frame.id,
+      kind,
+      s3_key: storageInfo.key,
+      width: image.width,
+      height: image.height,
+      file_size: storageInfo.size,
+      region: image.region || null
+    }, { conflictFields: ['frame_id', 'kind'] });
+
+    return storageInfo.key;
+  }
+
+  // Drop the raw upload once the processed frame is stored
+  static async deleteRawFrame(frame) {
+    if (!frame.raw_s3_key) return;
+
+    await deleteObject(frame.raw_s3_key);
+    await frame.update({ raw_s3_key: null });
+  }
+
+  // Storage key of the frame image or of one of its assets; null if the frame has no such asset
+  static async getImageKey(frame, asset = null) {
+    if (!asset) return frame.s3_key;
+
+    const record = await FrameAsset.findOne({ where: { frame_id: frame.id, kind: asset } });
+    return record?.s3_key ?? null;
+  }
+
+  // Returns { url, expiresIn, proxied }, or null if the frame has no such asset.
+  // Drivers that can't presign get the authenticated proxy route instead of a storage URL.
+  static async getFrameUrl(frameId, expiresIn = SIGNED_URL_TTL, asset = null) {
     const frame = await Frame.findByPk(frameId);
     if (!frame) throw new Error('Frame not found');
-    return await getSignedUrlForFrame(frame.s3_key);
+
+    const key = await this.getImageKey(frame, asset);
+    if (!key) return null;
+
+    if (!storage.canPresign) {
+      const query = asset ? `?asset=${asset}` : '';
+      return { url: `/api/frames/${frameId}/image${query}`, expiresIn: null, proxied: true };
+    }
+
+    const ttl = Math.max(1, Math.min(expiresIn, SIGNED_URL_MAX_TTL));
+    return { url: await getSignedUrlForFrame(key, ttl), expiresIn: ttl, proxied: false };
+  }
+
+  // Returns null if the frame has no such asset
+  static async getFrameStream(frame, asset = null) {
+    const key = await this.getImageKey(frame, asset);
+    return key ? await getFileStream(key) : null;
+  }
+
+  // Processed frame key and assets (kind -> key) as the frame worker reports them;
+  // assets is undefined for frames stored before the frame pipeline
+  static async getProcessedFrame(frameId) {
+    const frame = await Frame.findByPk(frameId, { include: [{ model: FrameAsset, as: 'assets' }] });
+    if (!frame) throw new Error('Frame not found');
+
+    return {
+      s3Key: frame.s3_key,
+      assets: frame.assets.length > 0
+        ? Object.fromEntries(frame.assets.map(asset => [asset.kind, asset.s3_key]))
+        : undefined
+    };
   }
 
   static async getFrameBuffer(frameId) {
@@ -79,7 +167,7 @@ export class StorageService {
       }
     });
     
-    console.log(`[Storage] Cleaned up ${deleted} S3 objects, ${dbDeleted} DB records`);
+    console.log(`[Storage] Cleaned up ${deleted} stored objects, ${dbDeleted} DB records`);
     return { s3: deleted, db: dbDeleted };
   }
 }
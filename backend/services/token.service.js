@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { Op } from 'sequelize';
+import { redisPub } from '../config/redis.js';
+import { RefreshToken, User } from '../models/database.models.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7');
+const REFRESH_TOKEN_REMEMBER_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_REMEMBER_TTL_DAYS || '30');
+
+const revokedKey = (jti) => `revoked-jti:${jti}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export class TokenService {
+  // ==================== ACCESS TOKEN REVOCATION ====================
+
+  // Blacklist a single access token until it would have expired anyway
+  static async revokeAccessToken(decoded) {
+    if (!decoded?.jti || !decoded.exp) return;
+
+    const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+    if (ttl > 0) {
+      await redisPub.set(revokedKey(decoded.jti), '1', 'EX', ttl);
+    }
+  }
+
+  // Checked by `authenticate`: blacklisted jti, or issued before the user's last logout-everywhere
+  static async isAccessTokenRevoked(decoded, user) {
+    if (user.tokens_valid_after &&
+        decoded.iat < Math.floor(new Date(user.tokens_valid_after).getTime() / 1000)) {
+      return true;
+    }
+
+    if (decoded.jti) {
+      return Boolean(await redisPub.exists(revokedKey(decoded.jti)));
+    }
+
+    return false;
+  }
+
+  // Logout everywhere: every outstanding access and refresh token for the user stops working
+  static async revokeAllForUser(userId) {
+    await User.update(
+      { tokens_valid_after: new Date() },
+      { where: { id: userId } }
+    );
+
+    await RefreshToken.update(
+      { revoked_at: new Date() },
+      { where: { user_id: userId, revoked_at: null } }
+    );
+  }
+
+  // ==================== REFRESH TOKENS ====================
+
+  // Issue a new refresh token. Pass familyId to continue an existing rotation chain.
+  static async issueRefreshToken(user, { familyId, remember = false, ip, userAgent } = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const days = remember ? REFRESH_TOKEN_REMEMBER_TTL_DAYS : REFRESH_TOKEN_TTL_DAYS;
+
+    const record = await RefreshToken.create({
+      user_id: user.id,
+      token_hash: hashToken(token),
+      family_id: familyId || uuidv4(),
+      expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      remember,
+      ip_address: ip || null,
+      user_agent: userAgent || null
+    });
+
+    return { token, record };
+  }
+
+  // Exchange a refresh token for a new one. Returns { user, token, remember } or { error }.
+  // Presenting a token that was already rotated means it leaked: the whole family is revoked.
+  static async rotateRefreshToken(token, { ip, userAgent } = {}) {
+    if (!token || typeof token !== 'string') {
+      return { error: 'Refresh token is required' };
+    }
+
+    const record = await RefreshToken.findOne({
+      where: { token_hash: hashToken(token) }
+    });
+
+    if (!record) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (record.revoked_at) {
+      await this.revokeFamily(record.family_id);
+      console.warn(`[TokenService] Refresh token reuse detected for user ${record.user_id}, family ${record.family_id} revoked`);
+      return { error: 'Refresh token has been revoked', reuseDetected: true };
+    }
+
+    if (record.expires_at < new Date()) {
+      return { error: 'Refresh token has expired' };
+    }
+
+    const user = await User.findByPk(record.user_id);
+    if (!user || !user.is_active) {
+      await this.revokeFamily(record.family_id);
+      return { error: 'User not found or inactive' };
+    }
+
+    // Keep the original lifetime class (remember me) across rotations
+    const { remember } = record;
+
+    const next = await this.issueRefreshToken(user, {
+      familyId: record.family_id,
+      remember,
+      ip,
+      userAgent
+    });
+
+    // Only one request may rotate a given token; a concurrent loser counts as reuse
+    const [updated] = await RefreshToken.update(
+      { revoked_at: new Date(), replaced_by_id: next.record.id },
+      { where: { id: record.id, revoked_at: null } }
+    );
+
+    if (updated === 0) {
+      await this.revokeFamily(record.family_id);
+      return { error: 'Refresh token has been revoked', reuseDetected: true };
+    }
+
+    return { user, token: next.token, remember };
+  }
+
+  // Revoke the chain a refresh token belongs to (single-device logout)
+  static async revokeRefreshToken(token) {
+    if (!token) return false;
+
+    const record = await RefreshToken.findOne({
+      where: { token_hash: hashToken(token) }
+    });
+    if (!record) return false;
+
+    await this.revokeFamily(record.family_id);
+    return true;
+  }
+
+  static async revokeFamily(familyId) {
+    await RefreshToken.update(
+      { revoked_at: new Date() },
+      { where: { family_id: familyId, revoked_at: null } }
+    );
+  }
+
+  // Drop refresh tokens that expired more than a day ago
+  static async cleanupExpired() {
+    return await RefreshToken.destroy({
+      where: {
+        expires_at: { [Op.lt]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      }
+    });
+  }
+}
+
+export default TokenService;
@@ -1,12 +1,35 @@
 import { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
 import { redisPub, redisSub } from '../config/redis.js';
+import { resolveTokenUser } from '../middleware/auth.middleware.js';
+import { FrameProtocol, FRAME_PROTOCOLS } from './frame.protocol.js';
+import { MessageProtocol, PROTOCOL_VERSIONS } from './message.protocol.js';
+import { SessionPresence, PRESENCE_CONFIG, INSTANCE_ID } from './session-presence.service.js';
+import { SensorService, subscriptionKey } from './sensor.service.js';
+
+// Reject handshakes without a valid JWT unless explicitly disabled
+const WS_REQUIRE_AUTH = process.env.WS_REQUIRE_AUTH !== 'false';
+
+// Browsers can't set headers on a WebSocket, so the token travels either as
+// `?token=<jwt>` or as the subprotocol pair ['access_token', '<jwt>']
+const TOKEN_PROTOCOL = 'access_token';
+
+// How long a session survives with no sockets before it is ended, so a client
+// can reconnect with `?sessionId=<id>&resumeToken=<token>` and keep its session.
+// Sessions live in Redis (SessionPresence), so the reconnect may land on any API worker.
+const SESSION_RESUME_GRACE_MS = parseInt(process.env.SESSION_RESUME_GRACE_MS || '30000');
 
 export class WebSocketService {
   constructor(server) {
-    this.wss = new WebSocketServer({ server });
+    this.wss = new WebSocketServer({
+      server,
+      verifyClient: (info, callback) => this.verifyClient(info, callback),
+      handleProtocols: (protocols) => protocols.has(TOKEN_PROTOCOL) ? TOKEN_PROTOCOL : false
+    });
     this.clients = new Map(); // Map<WebSocket, ClientInfo>
-    this.sessions = new Map(); // Map<sessionId, Set<WebSocket>>
+    this.sessions = new Map(); // Map<sessionId, Set<WebSocket>> of this instance's sockets
+    this.shuttingDown = false;
     this.setupRedisSubscriptions();
     this.initialize();
   }
@@ -22,16 +45,99 @@ export class WebSocketService {
 
     // Heartbeat to detect dead connections
     this.startHeartbeat();
+    this.startPresence();
+  }
+
+  // Pull the JWT from the query string or the subprotocol list
+  extractToken(request) {
+    const url = new URL(request.url, 'http://localhost');
+    const queryToken = url.searchParams.get('token');
+    if (queryToken) return queryToken;
+
+    const protocols = (request.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map(p => p.trim());
+    const index = protocols.indexOf(TOKEN_PROTOCOL);
+    return index !== -1 ? protocols[index + 1] || null : null;
+  }
+
+  // Handshake check: verify the token and load the user before upgrading
+  async verifyClient({ req }, callback) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (MessageProtocol.negotiate(url.searchParams.get('protocolVersion')) === null) {
+        return callback(false, 400, `Unsupported protocol version (supported: ${PROTOCOL_VERSIONS.join(', ')})`);
+      }
+
+      const token = this.extractToken(req);
+
+      if (!token) {
+        if (WS_REQUIRE_AUTH) {
+          return callback(false, 401, 'No token provided');
+        }
+        req.resumedSessionId = await this.resolveResume(req, null);
+        return callback(true);
+      }
+
+      const { user, error } = await resolveTokenUser(token);
+      if (error) {
+        return callback(false, 401, error);
+      }
+
+      req.user = user;
+      req.resumedSessionId = await this.resolveResume(req, user);
+      callback(true);
+    } catch (error) {
+      console.error('[WebSocketService] Handshake authentication error:', error);
+      callback(false, 500, 'Authentication failed');
+    }
+  }
+
+  // Match a reconnect against a session that is still live or in its grace period,
+  // on this instance or any other
+  async resolveResume(request, user) {
+    const url = new URL(request.url, 'http://localhost');
+    const sessionId = url.searchParams.get('sessionId');
+    const token = url.searchParams.get('resumeToken');
+    if (!sessionId || !token) return null;
+
+    const entry = await SessionPresence.getResume(sessionId);
+    if (!entry) return null;
+
+    const expected = Buffer.from(entry.token);
+    const provided = Buffer.from(token);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return null;
+    }
+
+    // A session can only be resumed by the user that owns it
+    if (entry.userId !== (user?.id ?? null)) return null;
+
+    return sessionId;
   }
 
   handleConnection(ws, request) {
-    const sessionId = uuidv4();
+    const { user, resumedSessionId } = request;
+    const sessionId = resumedSessionId || uuidv4();
+
+    // Frame wire format is chosen per connection with `?frameProtocol=binary-v1`
+    const url = new URL(request.url, 'http://localhost');
+    const frameProtocol = FrameProtocol.negotiate(url.searchParams.get('frameProtocol'));
+    // JSON message protocol version (`?protocolVersion=`), checked in verifyClient
+    const protocolVersion = MessageProtocol.negotiate(url.searchParams.get('protocolVersion'));
+
     const clientInfo = {
       sessionId,
       connectedAt: Date.now(),
       ip: request.socket.remoteAddress,
       isAlive: true,
-      metadata: {}
+      frameProtocol,
+      protocolVersion,
+      subscriptions: new Map(), // Map<'topic:id', { topic, id }> sensor subscriptions
+      user: user ? { id: user.id, email: user.email, role: user.role } : null,
+      metadata: {
+        userAgent: request.headers['user-agent']
+      }
     };
 
     this.clients.set(ws, clientInfo);
@@ -42,47 +148,96 @@ export class WebSocketService {
     }
     this.sessions.get(sessionId).add(ws);
 
-    console.log(`[WebSocketService] Client connected: ${sessionId} (Total: ${this.clients.size})`);
+    // Claim the session for this instance (which also cancels a pending end)
+    // and rotate the resume token on every (re)connect
+    const resumeToken = crypto.randomBytes(32).toString('hex');
+    clientInfo.presence = SessionPresence.connect(sessionId, { userId: user?.id ?? null, resumeToken })
+      .catch((error) => {
+        console.error('[WebSocketService] Presence error:', error.message);
+      });
+
+    console.log(`[WebSocketService] Client ${resumedSessionId ? 'resumed' : 'connected'}: ${sessionId} (User: ${user?.id ?? 'anonymous'}, Total: ${this.clients.size})`);
 
     // Send welcome message
     this.sendToClient(ws, {
       type: 'connection',
       sessionId,
-      message: 'Connected successfully'
+      userId: user?.id ?? null,
+      resumed: Boolean(resumedSessionId),
+      resumeToken,
+      resumeGracePeriod: SESSION_RESUME_GRACE_MS,
+      frameProtocol,
+      frameProtocols: FRAME_PROTOCOLS,
+      protocolVersion,
+      protocolVersions: PROTOCOL_VERSIONS,
+      message: resumedSessionId ? 'Session resumed' : 'Connected successfully'
     });
 
+    if (resumedSessionId) {
+      this.emit('session_resumed', { sessionId, clientInfo });
+    } else {
+      this.emit('client_connected', { sessionId, clientInfo });
+    }
+
     // Setup event handlers
-    ws.on('message', (data) => this.handleMessage(ws, data));
+    ws.on('message', (data, isBinary) => this.handleMessage(ws, data, isBinary));
     ws.on('pong', () => this.handlePong(ws));
     ws.on('close', (code, reason) => this.handleClose(ws, code, reason));
     ws.on('error', (error) => this.handleError(ws, error));
   }
 
-  handleMessage(ws, data) {
+  handleMessage(ws, data, isBinary) {
     try {
       const clientInfo = this.clients.get(ws);
       if (!clientInfo) return;
 
-      // Check if message is JSON or binary
-      let message;
-      if (typeof data === 'string') {
-        try {
-          message = JSON.parse(data);
-          this.emit('json_message', { ws, clientInfo, message });
-        } catch {
+      // ws v8 hands every message over as a Buffer, so rely on the frame type
+      if (isBinary) {
+        // Image frames in the binary envelope
+        this.emitFrame(ws, clientInfo, FrameProtocol.decodeBinary(data));
+        return;
+      }
+
+      const text = data.toString();
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        if (text.startsWith('data:')) {
+          // Legacy base64 data-URL frames are sent as text
+          this.emitFrame(ws, clientInfo, FrameProtocol.decodeDataUrl(text));
+        } else if (/^\s*[{[]/.test(text)) {
+          this.sendError(ws, 'Message is not valid JSON', 'INVALID_JSON');
+        } else {
           // Not JSON, treat as text
-          this.emit('text_message', { ws, clientInfo, data: data.toString() });
+          this.emit('text_message', { ws, clientInfo, data: text });
         }
-      } else {
-        // Binary data (image frames, etc.)
-        this.emit('binary_message', { ws, clientInfo, data });
+        return;
+      }
+
+      // Handlers only see messages that match their schema (services/message.protocol.js)
+      const { message, error } = MessageProtocol.parse(parsed);
+      if (error) {
+        const { message: reason, code, ...extra } = error;
+        this.sendError(ws, reason, code, extra);
+        return;
       }
+      this.emit('json_message', { ws, clientInfo, message });
     } catch (error) {
       console.error('[WebSocketService] Message handling error:', error);
       this.sendError(ws, 'Failed to process message');
     }
   }
 
+  // Both wire formats are accepted whatever was negotiated; handlers get a decoded frame
+  emitFrame(ws, clientInfo, { frame, error }) {
+    if (error) {
+      this.sendError(ws, error, 'INVALID_FRAME');
+      return;
+    }
+    this.emit('binary_message', { ws, clientInfo, frame });
+  }
+
   handlePong(ws) {
     const clientInfo = this.clients.get(ws);
     if (clientInfo) {
@@ -102,10 +257,14 @@ export class WebSocketService {
       sessionClients.delete(ws);
       if (sessionClients.size === 0) {
         this.sessions.delete(sessionId);
-        this.emit('session_ended', { sessionId });
       }
     }
 
+    // On shutdown the whole instance is released at once (see shutdown)
+    if (!this.shuttingDown) {
+      this.releaseSession(sessionId, clientInfo.presence);
+    }
+
     // Remove from clients
     this.clients.delete(ws);
 
@@ -115,6 +274,28 @@ export class WebSocketService {
     this.emit('client_disconnected', { sessionId, clientInfo, code, reason });
   }
 
+  // Give the socket back. A session left without sockets anywhere is kept for
+  // the grace period so the client can resume it; endExpiredSessions ends it after.
+  async releaseSession(sessionId, connected) {
+    try {
+      await connected; // the connect write has to land first
+      const orphaned = await SessionPresence.disconnect(sessionId);
+      if (orphaned && SESSION_RESUME_GRACE_MS <= 0 && await SessionPresence.end(sessionId)) {
+        this.emit('session_ended', { sessionId });
+      }
+    } catch (error) {
+      console.error('[WebSocketService] Presence error:', error.message);
+    }
+  }
+
+  // Whichever instance gets there first ends the session, exactly once
+  async endExpiredSessions() {
+    const ended = await SessionPresence.endExpired(Math.max(SESSION_RESUME_GRACE_MS, 0));
+    for (const sessionId of ended) {
+      this.emit('session_ended', { sessionId });
+    }
+  }
+
   handleError(ws, error) {
     const clientInfo = this.clients.get(ws);
     console.error('[WebSocketService] Client error:', error, clientInfo?.sessionId);
@@ -134,8 +315,13 @@ export class WebSocketService {
     }
   }
 
-  // Send to specific session (all connections of that session)
-  sendToSession(sessionId, data) {
+  // Send to specific session (all connections of that session, on any instance)
+  async sendToSession(sessionId, data) {
+    return await SessionPresence.sendToSession(sessionId, data);
+  }
+
+  // Deliver to the session's sockets on this instance
+  deliverToSession(sessionId, data) {
     const sessionClients = this.sessions.get(sessionId);
     if (!sessionClients) return 0;
 
@@ -163,12 +349,19 @@ export class WebSocketService {
     return this.broadcast(data, senderWs);
   }
 
-  // Send error message to client
-  sendError(ws, message, code = 'ERROR') {
+  // Reply to a client message, echoing its `id` as `replyTo`
+  reply(ws, message, data) {
+    return this.sendToClient(ws, message.id === undefined ? data : { ...data, replyTo: message.id });
+  }
+
+  // Send error message to client; `extra` carries `replyTo` and validation `details`
+  sendError(ws, message, code = 'ERROR', { replyTo, details } = {}) {
     this.sendToClient(ws, {
       type: 'error',
       code,
-      message
+      message,
+      ...(details && { details }),
+      ...(replyTo !== undefined && { replyTo })
     });
   }
 
@@ -179,15 +372,12 @@ export class WebSocketService {
         const data = JSON.parse(message);
         
         switch (channel) {
-          case 'blink-updates':
-            this.handleBlinkUpdate(data);
+          case SessionPresence.deliveryChannel():
+            this.handleDelivery(data);
             break;
           case 'sensor-updates':
             this.handleSensorUpdate(data);
             break;
-          case 'inference-results':
-            this.handleInferenceResults(data);
-            break;
           case 'broadcast':
             this.broadcast(data);
             break;
@@ -200,38 +390,25 @@ export class WebSocketService {
     });
 
     // Subscribe to channels
-    redisSub.subscribe('blink-updates', 'sensor-updates', 'inference-results', 'broadcast')
+    redisSub.subscribe(SessionPresence.deliveryChannel(), 'sensor-updates', 'broadcast')
       .then(() => console.log('[WebSocketService] Subscribed to Redis channels'))
       .catch(err => console.error('[WebSocketService] Redis subscription error:', err));
   }
 
-  handleBlinkUpdate(data) {
-    if (data.sessionId) {
-      this.sendToSession(data.sessionId, {
-        type: 'blink_update',
-        ...data.stats
-      });
-    } else {
-      this.broadcast({ type: 'blink_update', ...data });
-    }
+  // Messages for sessions with sockets here (SessionPresence.sendToSession):
+  // blink_update, inference_complete, blink_detection_result, job events, ...
+  handleDelivery({ sessionId, message }) {
+    this.deliverToSession(sessionId, message);
   }
 
-  handleSensorUpdate(data) {
-    this.broadcast({
-      type: 'sensor_update',
-      ...data
+  // Sensor readings and aggregates go only to subscribers allowed to see them
+  handleSensorUpdate(update) {
+    this.clients.forEach((clientInfo, ws) => {
+      const message = SensorService.messageFor(clientInfo, update);
+      if (message) this.sendToClient(ws, message);
     });
   }
 
-  handleInferenceResults(data) {
-    if (data.sessionId) {
-      this.sendToSession(data.sessionId, {
-        type: 'inference_complete',
-        ...data
-      });
-    }
-  }
-
   // Publish message to Redis for cross-server broadcasting
   async publishToRedis(channel, data) {
     try {
@@ -258,6 +435,23 @@ export class WebSocketService {
     }, 30000); // Every 30 seconds
   }
 
+  // Report this instance to the cluster, forget dead instances and end
+  // sessions whose resume grace period ran out
+  startPresence() {
+    const tick = async () => {
+      await SessionPresence.heartbeat(this.getStats());
+      await SessionPresence.reapInstances();
+      await this.endExpiredSessions();
+    };
+
+    const run = () => tick().catch((error) => {
+      console.error('[WebSocketService] Presence heartbeat error:', error.message);
+    });
+
+    run();
+    this.presenceInterval = setInterval(run, PRESENCE_CONFIG.heartbeatMs);
+  }
+
   // Event emitter functionality for custom handlers
   eventHandlers = new Map();
 
@@ -286,11 +480,28 @@ export class WebSocketService {
     return this.clients.get(ws);
   }
 
-  // Get all clients for a session
+  // Get this instance's clients for a session
   getSessionClients(sessionId) {
     return Array.from(this.sessions.get(sessionId) || []);
   }
 
+  // Add or remove a sensor subscription; returns the connection's subscriptions
+  subscribe(ws, subscription) {
+    const clientInfo = this.clients.get(ws);
+    clientInfo?.subscriptions.set(subscriptionKey(subscription), subscription);
+    return this.getSubscriptions(ws);
+  }
+
+  unsubscribe(ws, subscription) {
+    const clientInfo = this.clients.get(ws);
+    clientInfo?.subscriptions.delete(subscriptionKey(subscription));
+    return this.getSubscriptions(ws);
+  }
+
+  getSubscriptions(ws) {
+    return Array.from(this.clients.get(ws)?.subscriptions.values() || []);
+  }
+
   // Update client metadata
   updateClientMetadata(ws, metadata) {
     const clientInfo = this.clients.get(ws);
@@ -299,13 +510,23 @@ export class WebSocketService {
     }
   }
 
-  // Get statistics
+  // Statistics of this instance
   getStats() {
     return {
+      instance: INSTANCE_ID,
       totalConnections: this.clients.size,
       totalSessions: this.sessions.size,
       connections: Array.from(this.clients.values()).map(info => ({
         sessionId: info.sessionId,
+        userId: info.user?.id ?? null,
+        frameProtocol: info.frameProtocol,
+        subscriptions: info.subscriptions.size,
+        ingest: info.ingest ? {
+          accepted: info.ingest.accepted,
+          dropped: info.ingest.dropped,
+          bytes: info.ingest.bytes,
+          maxFps: info.ingest.maxFps
+        } : null,
         connectedAt: info.connectedAt,
         duration: Date.now() - info.connectedAt,
         ip: info.ip
@@ -313,11 +534,39 @@ export class WebSocketService {
     };
   }
 
+  // Statistics of all instances, from their last heartbeat (this one is live)
+  async getClusterStats() {
+    const [reported, { sessions, awaitingResume }] = await Promise.all([
+      SessionPresence.getInstances(),
+      SessionPresence.count()
+    ]);
+    const instances = [this.getStats(), ...reported.filter(stats => stats.instance !== INSTANCE_ID)];
+
+    return {
+      totalConnections: instances.reduce((sum, stats) => sum + stats.totalConnections, 0),
+      totalSessions: sessions,
+      awaitingResume,
+      instances: instances.map(({ connections, ...stats }) => stats),
+      connections: instances.flatMap(({ instance, connections }) =>
+        connections.map(connection => ({ ...connection, instance })))
+    };
+  }
+
   // Graceful shutdown
   async shutdown() {
     console.log('[WebSocketService] Shutting down...');
     
+    this.shuttingDown = true;
     clearInterval(this.heartbeatInterval);
+    clearInterval(this.presenceInterval);
+
+    // Release our sessions; clients can resume them on another instance within
+    // the grace period, after which that instance ends them
+    try {
+      await SessionPresence.removeInstance();
+    } catch (error) {
+      console.error('[WebSocketService] Presence error:', error.message);
+    }
 
     // Notify all clients
     this.broadcast({
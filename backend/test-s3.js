@@ -2,7 +2,7 @@ import { uploadToS3, getFile, listObjects, getSignedUrlForFrame, getS3Status } f
 import fs from 'fs/promises';
 
 async function testS3Ninja() {
-  console.log('Testing S3 Ninja connection...\n');
+  console.log('Testing storage connection...\n');
 
   // 1. Check status
   const status = await getS3Status();
@@ -17,7 +17,7 @@ async function testS3Ninja() {
   const objects = await listObjects();
   console.log('Objects in bucket:', objects.length);
 
-  // 4. Get signed URL
+  // 4. Get presigned URL
   const url = await getSignedUrlForFrame('frames/test.txt');
   console.log('Signed URL:', url);
 
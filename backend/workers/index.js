@@ -0,0 +1,202 @@
+import http from 'http';
+import { Worker } from 'bullmq';
+import { createRedisConnection } from '../config/redis.js';
+import { DeadLetterService } from '../services/dead-letter.service.js';
+import frameProcessor from './processors/frame.processor.js';
+import inferenceProcessor from './processors/inference.processor.js';
+import blinkProcessor from './processors/blink.processor.js';
+import analysisProcessor from './processors/analysis.processor.js';
+import emailProcessor from './processors/email.processor.js';
+
+// Single entrypoint for all queue workers. Which processors run in this process
+// comes from the command line or WORKER_PROCESSORS (comma separated, default all):
+//
+//   node workers/index.js frame inference
+//
+// Each processor module exports { name, queue, tag, defaults, process, onCompleted?, deadLetter? }.
+// Jobs that fail for good go to the dead-letter queue unless deadLetter is false.
+// Its concurrency and rate limit can be overridden per process with
+// <NAME>_CONCURRENCY, <NAME>_MAX_JOBS and <NAME>_MAX_JOBS_DURATION_MS.
+const PROCESSORS = {
+  [frameProcessor.name]: frameProcessor,
+  [inferenceProcessor.name]: inferenceProcessor,
+  [blinkProcessor.name]: blinkProcessor,
+  [analysisProcessor.name]: analysisProcessor,
+  [emailProcessor.name]: emailProcessor
+};
+
+// Health port; PM2 instances of the same app get consecutive ports. 0 disables it.
+const HEALTH_BASE_PORT = parseInt(process.env.WORKER_HEALTH_PORT ?? '8100');
+const HEALTH_PORT = HEALTH_BASE_PORT > 0 ? HEALTH_BASE_PORT + parseInt(process.env.NODE_APP_INSTANCE || '0') : 0;
+
+// How long SIGTERM waits for active jobs before exiting anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS || '30000');
+
+const selectProcessors = () => {
+  const requested = process.argv.slice(2).length > 0
+    ? process.argv.slice(2)
+    : (process.env.WORKER_PROCESSORS || Object.keys(PROCESSORS).join(',')).split(',');
+
+  const names = [...new Set(requested.map(name => name.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !PROCESSORS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown worker processor(s): ${unknown.join(', ')} (available: ${Object.keys(PROCESSORS).join(', ')})`);
+  }
+  return names.map(name => PROCESSORS[name]);
+};
+
+const envInt = (name) => (process.env[name] ? parseInt(process.env[name]) : undefined);
+
+// Processor defaults with env overrides applied
+const workerOptions = (processor) => {
+  const prefix = processor.name.toUpperCase();
+  const { concurrency, limiter, settings } = processor.defaults;
+
+  const max = envInt(`${prefix}_MAX_JOBS`) ?? limiter?.max;
+  const duration = envInt(`${prefix}_MAX_JOBS_DURATION_MS`) ?? limiter?.duration ?? 1000;
+
+  return {
+    concurrency: envInt(`${prefix}_CONCURRENCY`) ?? concurrency ?? 1,
+    ...(max && { limiter: { max, duration } }),
+    ...(settings && { settings })
+  };
+};
+
+const startWorker = (processor) => {
+  const connection = createRedisConnection();
+  const options = workerOptions(processor);
+  const worker = new Worker(processor.queue, processor.process, { connection, ...options });
+  const stats = { active: 0, completed: 0, failed: 0, lastJobAt: null };
+  const { tag } = processor;
+
+  worker.on('active', () => {
+    stats.active++;
+  });
+
+  worker.on('completed', (job, result) => {
+    stats.active = Math.max(0, stats.active - 1);
+    stats.completed++;
+    stats.lastJobAt = new Date().toISOString();
+    processor.onCompleted?.(job, result);
+  });
+
+  worker.on('failed', (job, error) => {
+    // job is undefined when the failure happened outside a job (e.g. lock renewal)
+    if (!job) return console.error(`[${tag}] ✗ Failed:`, error.message);
+
+    stats.active = Math.max(0, stats.active - 1);
+    stats.failed++;
+    stats.lastJobAt = new Date().toISOString();
+
+    // finishedOn is only set once the job is moved to the failed set: out of
+    // attempts, unrecoverable or stalled too often
+    if (!job.finishedOn) {
+      return console.error(`[${tag}] ✗ Job ${job.id} failed, will retry:`, error.message);
+    }
+
+    if (processor.deadLetter === false) {
+      return console.error(`[${tag}] ✗ Job ${job.id} failed:`, error.message);
+    }
+
+    console.error(`[${tag}] ✗ Job ${job.id} failed after ${job.attemptsMade} attempt(s), moving to dead-letter queue:`, error.message);
+    DeadLetterService.add(processor.queue, job, error).catch((dlqError) => {
+      console.error(`[${tag}] Failed to dead-letter job ${job.id}:`, dlqError.message);
+    });
+  });
+
+  worker.on('stalled', (jobId) => {
+    console.warn(`[${tag}] ⚠ Job ${jobId} stalled`);
+  });
+
+  worker.on('error', (error) => {
+    console.error(`[${tag}] Worker error:`, error);
+  });
+
+  console.log(`[${tag}] Started on ${processor.queue} with concurrency:`, options.concurrency);
+  return { processor, worker, connection, options, stats };
+};
+
+const entries = selectProcessors().map(startWorker);
+let draining = false;
+
+// Live while the process runs; ready while every worker is running on a live Redis connection
+const healthReport = () => {
+  const workers = entries.map(({ processor, worker, connection, options, stats }) => ({
+    name: processor.name,
+    queue: processor.queue,
+    running: worker.isRunning(),
+    paused: worker.isPaused(),
+    redis: connection.status,
+    concurrency: options.concurrency,
+    limiter: options.limiter || null,
+    ...stats
+  }));
+
+  const ready = !draining && workers.every(w => w.running && !w.paused && w.redis === 'ready');
+
+  return {
+    status: draining ? 'draining' : ready ? 'ready' : 'not_ready',
+    ready,
+    pid: process.pid,
+    uptime: Math.round(process.uptime()),
+    workers
+  };
+};
+
+const healthServer = HEALTH_PORT > 0
+  ? http.createServer((req, res) => {
+      const report = healthReport();
+      let status = 404;
+      let body = { error: 'Not found' };
+
+      if (req.method === 'GET' && req.url === '/health') {
+        status = 200;
+        body = report;
+      } else if (req.method === 'GET' && req.url === '/ready') {
+        status = report.ready ? 200 : 503;
+        body = report;
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    })
+  : null;
+
+healthServer?.listen(HEALTH_PORT, () => {
+  console.log(`[Workers] Health endpoint on port ${HEALTH_PORT} (/health, /ready)`);
+});
+
+healthServer?.on('error', (error) => {
+  console.error('[Workers] Health endpoint error:', error.message);
+});
+
+// Graceful shutdown: report not ready, stop taking jobs and let active ones
+// finish; after SHUTDOWN_TIMEOUT_MS exit anyway (unfinished jobs are retried
+// by another worker once their lock expires)
+const gracefulShutdown = async (signal) => {
+  if (draining) return;
+  draining = true;
+  console.log(`[Workers] Received ${signal}, draining ${entries.length} worker(s)...`);
+
+  const timeout = setTimeout(() => {
+    console.warn(`[Workers] Drain timed out after ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+
+  try {
+    await Promise.all(entries.map(({ worker }) => worker.close()));
+    await Promise.all(entries.map(({ connection }) => connection.quit()));
+    clearTimeout(timeout);
+    healthServer?.close();
+    console.log('[Workers] Workers closed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('[Workers] Error during shutdown:', error);
+    process.exit(1);
+  }
+};
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+export default entries;
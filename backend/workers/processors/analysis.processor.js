@@ -0,0 +1,48 @@
+import { FrameAnalysisService } from '../../services/frame-analysis.service.js';
+import { SessionPresence } from '../../services/session-presence.service.js';
+
+// On-demand re-analysis requested over the socket (`request_blink_detection`)
+async function processAnalysisJob(job) {
+  const startTime = Date.now();
+  const { requestId, sessionId, frameIds, blink, model, modelId } = job.data;
+
+  console.log(`[AnalysisWorker] Analyzing ${frameIds.length} frame(s) for session ${sessionId} (Job: ${job.id})`);
+
+  const result = await FrameAnalysisService.analyze({ frameIds, blink, model, modelId }, async (done, total) => {
+    await job.updateProgress(Math.round((done / total) * 100));
+  });
+
+  await SessionPresence.sendToSession(sessionId, {
+    type: 'blink_detection_result',
+    requestId,
+    jobId: job.id,
+    model,
+    modelId,
+    ...result,
+    processingTime: Date.now() - startTime
+  });
+
+  return {
+    frameCount: result.frameCount,
+    blinkCount: result.blink?.blinkCount ?? null,
+    processingTime: Date.now() - startTime
+  };
+}
+
+export default {
+  name: 'analysis',
+  queue: 'frame-analysis',
+  tag: 'AnalysisWorker',
+  // Face detection on every frame of a range is CPU heavy; one request at a time
+  defaults: {
+    concurrency: 1,
+    settings: {
+      stalledInterval: 30000,
+      maxStalledCount: 2
+    }
+  },
+  process: processAnalysisJob,
+  onCompleted(job, result) {
+    console.log(`[AnalysisWorker] ✓ Job ${job.id} analyzed ${result.frameCount} frame(s) in ${result.processingTime}ms`);
+  }
+};
@@ -0,0 +1,62 @@
+import { BlinkService } from '../../services/blink.service.js';
+import { StorageService } from '../../services/storage.service.js';
+
+async function processBlinkJob(job) {
+  const startTime = Date.now();
+  const { frameId, sessionId, timestamp } = job.data;
+
+  const buffer = await StorageService.getFrameBuffer(frameId);
+  const estimate = await BlinkService.estimateEAR(buffer);
+
+  if (!estimate) {
+    return { frameId, faceDetected: false };
+  }
+
+  const tracked = await BlinkService.trackEAR(sessionId, estimate.ear, timestamp || startTime);
+  if (!tracked) {
+    return { frameId, faceDetected: true, skipped: 'out_of_order' };
+  }
+
+  const { stats, blinkDetected } = tracked;
+
+  if (blinkDetected) {
+    await BlinkService.saveStats(sessionId, stats, 1);
+  }
+
+  await BlinkService.publish(sessionId, {
+    ...stats,
+    frameId,
+    blinkDetected,
+    source: 'server'
+  });
+
+  return {
+    frameId,
+    faceDetected: true,
+    blinkDetected,
+    ear: estimate.ear,
+    processingTime: Date.now() - startTime
+  };
+}
+
+export default {
+  name: 'blink',
+  queue: 'blink-detection',
+  tag: 'BlinkWorker',
+  // Eye state is tracked per session, so frames should be handled roughly in
+  // upload order. Keep concurrency low; out-of-order samples are skipped.
+  defaults: {
+    concurrency: 1,
+    settings: {
+      stalledInterval: 30000,
+      maxStalledCount: 1
+    }
+  },
+  process: processBlinkJob,
+  deadLetter: false, // a blink sample is worthless by the time anyone could retry it
+  onCompleted(job, result) {
+    if (result.blinkDetected) {
+      console.log(`[BlinkWorker] ✓ Blink in session ${job.data.sessionId} (frame ${result.frameId})`);
+    }
+  }
+};
@@ -0,0 +1,20 @@
+import { MailerService } from '../../services/mailer.service.js';
+
+async function processEmailJob(job) {
+  const { to, template } = job.data;
+  const { messageId } = await MailerService.send(job.data);
+  return { to, template, messageId };
+}
+
+export default {
+  name: 'email',
+  queue: 'email-delivery',
+  tag: 'EmailWorker',
+  defaults: {
+    concurrency: 5
+  },
+  process: processEmailJob,
+  onCompleted(job, result) {
+    console.log(`[EmailWorker] ✓ ${result.template} email sent to ${result.to}`);
+  }
+};
@@ -0,0 +1,116 @@
+import { getFile } from '../../config/s3.js';
+import { addBlinkJob } from '../../queues/queue.config.js';
+import { Frame } from '../../models/database.models.js';
+import { FramePipeline } from '../../services/frame-pipeline.service.js';
+import { FrameSampler } from '../../services/frame-sampler.service.js';
+import { StorageService } from '../../services/storage.service.js';
+
+// Keep raw uploads after processing (debugging, re-processing with new settings)
+const KEEP_RAW_FRAMES = process.env.KEEP_RAW_FRAMES === 'true';
+
+// Turns a raw upload into the stored frame plus derived assets, then decides
+// whether the parent inference job should run. The return value is read by
+// that parent (see addFrameFlow).
+async function processFrameJob(job) {
+  const startTime = Date.now();
+  const { frameId, sessionId, timestamp, flagged, inferenceIntervalMs, blinkDetection } = job.data;
+
+  const frame = await Frame.findByPk(frameId);
+  if (!frame) {
+    throw new Error(`Frame ${frameId} not found`);
+  }
+
+  // A retry after everything was stored: reuse the earlier outcome
+  if (frame.status === 'ready' && !frame.raw_s3_key && frame.metadata?.sampling) {
+    return { frameId, s3Key: frame.s3_key, ...frame.metadata.sampling, assets: frame.metadata.assets };
+  }
+
+  try {
+    const raw = await getFile(frame.raw_s3_key);
+    await job.updateProgress(10);
+
+    const result = await FramePipeline.process(raw);
+    await job.updateProgress(50);
+
+    // Decided once per frame and kept on the job: after a storage failure the
+    // retry would otherwise match its own hash and be skipped as a duplicate
+    let { sampling } = job.data;
+    if (!sampling) {
+      sampling = await FrameSampler.sample(sessionId, result.frame.buffer, {
+        timestamp,
+        flagged,
+        intervalMs: inferenceIntervalMs
+      });
+      await job.updateData({ ...job.data, sampling });
+    }
+
+    const crops = {
+      thumbnail: result.thumbnail,
+      face: result.face,
+      left_eye: result.eyes.left,
+      right_eye: result.eyes.right
+    };
+
+    // kind -> storage key; the inference job reads the eye crops from here
+    const assets = {};
+    for (const [kind, image] of Object.entries(crops)) {
+      if (image) {
+        assets[kind] = await StorageService.saveAsset(frame, kind, image);
+      }
+    }
+
+    const s3Key = await StorageService.saveProcessedFrame(frame, result.frame, {
+      metadata: {
+        ...result.metadata,
+        assets,
+        sampling: { infer: sampling.infer, reason: sampling.reason },
+        processingTime: Date.now() - startTime
+      }
+    });
+    await job.updateProgress(90);
+
+    // Server-side blink detection reads the processed frame
+    if (blinkDetection) {
+      await addBlinkJob({ frameId, sessionId, timestamp });
+    }
+
+    if (!KEEP_RAW_FRAMES) {
+      await StorageService.deleteRawFrame(frame);
+    }
+
+    await job.updateProgress(100);
+
+    return {
+      frameId,
+      s3Key,
+      infer: sampling.infer,
+      reason: sampling.reason,
+      assets,
+      processingTime: Date.now() - startTime
+    };
+
+  } catch (error) {
+    // Out of retries (attemptsMade counts this attempt): leave the raw upload in place for inspection
+    if (job.attemptsMade >= (job.opts.attempts || 1)) {
+      await frame.update({ status: 'failed' }).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+export default {
+  name: 'frame',
+  queue: 'frame-processing',
+  tag: 'FrameWorker',
+  defaults: {
+    concurrency: 2,
+    settings: {
+      stalledInterval: 30000,
+      maxStalledCount: 2
+    }
+  },
+  process: processFrameJob,
+  onCompleted(job, result) {
+    console.log(`[FrameWorker] ✓ Frame ${result.frameId} processed in ${result.processingTime ?? 0}ms (${result.infer ? 'inference' : `skipped: ${result.reason}`})`);
+  }
+};
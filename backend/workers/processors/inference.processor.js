@@ -0,0 +1,96 @@
+import { InferenceService } from '../../services/inference.service.js';
+import { StorageService } from '../../services/storage.service.js';
+import { SessionPresence } from '../../services/session-presence.service.js';
+import { redisPub } from '../../config/redis.js';
+
+// Job processor function
+async function processInferenceJob(job) {
+  const startTime = Date.now();
+  const { frameId, sessionId } = job.data;
+
+  // As the parent of a frame flow, the processed frame comes from the child job.
+  // Without one (e.g. a job retried from the dead-letter queue) it is read from the database.
+  const [processed] = Object.values(await job.getChildrenValues());
+  if (processed && !processed.infer) {
+    return { success: true, frameId, skipped: processed.reason };
+  }
+  const { s3Key, assets } = processed ?? await StorageService.getProcessedFrame(frameId);
+
+  try {
+    console.log(`[InferenceWorker] Processing frame ${frameId} (Job: ${job.id})`);
+
+    // Update job progress
+    await job.updateProgress(10);
+
+    // Run inference (results are saved per model by the service)
+    const results = await InferenceService.processFrame(frameId, s3Key, {
+      eyes: assets && { left: assets.left_eye || null, right: assets.right_eye || null }
+    });
+    await job.updateProgress(90);
+
+    // Mark frame as processed
+    await StorageService.markFrameProcessed(frameId);
+
+    // Send results to the session's sockets, on whichever API instance they
+    // are, and on the `inference-results` channel for any other subscriber
+    if (sessionId) {
+      const update = {
+        sessionId,
+        frameId,
+        ...results,
+        processingTime: Date.now() - startTime
+      };
+      await Promise.all([
+        SessionPresence.sendToSession(sessionId, { type: 'inference_complete', ...update }),
+        redisPub.publish('inference-results', JSON.stringify(update))
+      ]);
+    }
+
+    await job.updateProgress(100);
+
+    console.log(`[InferenceWorker] Completed frame ${frameId} in ${Date.now() - startTime}ms`);
+
+    return {
+      success: true,
+      frameId,
+      processingTime: Date.now() - startTime,
+      results
+    };
+
+  } catch (error) {
+    console.error(`[InferenceWorker] Error processing frame ${frameId}:`, error);
+    
+    // Out of retries (attemptsMade counts this attempt): record the failure once
+    if (job.attemptsMade >= (job.opts.attempts || 1)) {
+      try {
+        await InferenceService.saveFailure(frameId, error, Date.now() - startTime);
+      } catch (dbError) {
+        console.error('[InferenceWorker] Failed to log error:', dbError);
+      }
+    }
+
+    throw error; // Re-throw for BullMQ retry mechanism
+  }
+}
+
+export default {
+  name: 'inference',
+  queue: 'inference-processing',
+  tag: 'InferenceWorker',
+  defaults: {
+    concurrency: 5,
+    limiter: {
+      max: 10,
+      duration: 1000 // per second
+    },
+    settings: {
+      stalledInterval: 30000,
+      maxStalledCount: 2
+    }
+  },
+  process: processInferenceJob,
+  onCompleted(job, result) {
+    if (result.skipped) return; // sampled out by the frame worker
+    console.log(`[InferenceWorker] ✓ Job ${job.id} completed:`, result.frameId);
+  }
+};
@@ -14,9 +14,15 @@ export const authAPI = {
     return response.data;
   },
 
-  // Logout user
-  logout: async () => {
-    const response = await axios.post('/api/auth/logout');
+  // Logout user (revokes this device's refresh token)
+  logout: async (refreshToken?: string | null) => {
+    const response = await axios.post('/api/auth/logout', { refreshToken });
+    return response.data;
+  },
+
+  // Logout from all devices
+  logoutAll: async () => {
+    const response = await axios.post('/api/auth/logout-all');
     return response.data;
   },
 
@@ -45,8 +51,8 @@ export const authAPI = {
   },
 
   // Reset password
-  resetPassword: async (data: { token: string; password: string }) => {
-    const response = await axios.post('/api/auth/reset-password', data);
+  resetPassword: async ({ token, password }: { token: string; password: string }) => {
+    const response = await axios.post(`/api/auth/reset-password/${encodeURIComponent(token)}`, { password });
     return response.data;
   },
 
@@ -56,9 +62,9 @@ export const authAPI = {
     return response.data;
   },
 
-  // Refresh token
-  refreshToken: async () => {
-    const response = await axios.post('/api/auth/refresh-token');
+  // Exchange a refresh token for a new access/refresh token pair
+  refreshToken: async (refreshToken: string) => {
+    const response = await axios.post('/api/auth/refresh', { refreshToken });
     return response.data;
   },
 };
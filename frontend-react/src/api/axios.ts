@@ -1,8 +1,10 @@
-import axios from 'axios';
+import axios, { type InternalAxiosRequestConfig } from 'axios';
+
+const baseURL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
 
 // Create axios instance with base configuration
 const axiosInstance = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:8000',
+  baseURL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
@@ -27,21 +29,75 @@ axiosInstance.interceptors.request.use(
   }
 );
 
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh'];
+
+// Shared so that parallel 401s trigger a single refresh (refresh tokens are single-use)
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = async (): Promise<string> => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  // Plain axios so this request skips the interceptors below
+  const response = await axios.post(`${baseURL}/api/auth/refresh`, { refreshToken }, { withCredentials: true });
+  const { token, refreshToken: nextRefreshToken } = response.data.data;
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', nextRefreshToken);
+  return token;
+};
+
 // Response interceptor to handle errors
 axiosInstance.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config as (InternalAxiosRequestConfig & { _retry?: boolean }) | undefined;
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_PATHS.some((path) => originalRequest.url?.startsWith(path))
+    ) {
+      // Access token expired - refresh once and replay the request
+      originalRequest._retry = true;
+
+      try {
+        refreshPromise ??= refreshAccessToken().finally(() => {
+          refreshPromise = null;
+        });
+        const token = await refreshPromise;
+
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return axiosInstance(originalRequest);
+      } catch {
+        // Refresh token missing, expired or revoked
+        clearSession();
+        return Promise.reject(error);
+      }
+    }
+
     if (error.response) {
       // Handle specific error status codes
       switch (error.response.status) {
         case 401:
           // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
-          if (window.location.pathname !== '/login') {
-            window.location.href = '/login';
+          if (!originalRequest?.url?.startsWith('/api/auth/login')) {
+            clearSession();
           }
           break;
         case 403:
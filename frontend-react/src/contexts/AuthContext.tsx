@@ -22,12 +22,19 @@ interface AuthContextType {
   login: (email: string, password: string, rememberMe?: boolean) => Promise<{ success: boolean; error?: string }>;
   register: (name: string, email: string, password: string) => Promise<RegisterResponse>;
   logout: () => Promise<void>;
+  logoutEverywhere: () => Promise<void>;
   loading: boolean;
   refreshUser: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | null>(null);
 
+const clearStoredSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
 export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
   const [user, setUser] = useState<User | null>(null);
   const [loading, setLoading] = useState(true);
@@ -45,13 +52,11 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
             setUser(response.data);
           } else {
             // Token invalid, clear storage
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+            clearStoredSession();
           }
         } catch (error) {
           console.error('Failed to fetch user profile:', error);
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
+          clearStoredSession();
         }
       }
       
@@ -66,11 +71,12 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
       const response = await authAPI.login({ email, password, rememberMe });
       
       if (response.success) {
-        const { user: userData, token } = response.data;
+        const { user: userData, token, refreshToken } = response.data;
         
         setUser(userData);
         localStorage.setItem('user', JSON.stringify(userData));
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
         
         return { success: true };
       } else {
@@ -101,13 +107,23 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
 
   const logout = async () => {
     try {
-      await authAPI.logout();
+      await authAPI.logout(localStorage.getItem('refreshToken'));
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       setUser(null);
-      localStorage.removeItem('user');
-      localStorage.removeItem('token');
+      clearStoredSession();
+    }
+  };
+
+  const logoutEverywhere = async () => {
+    try {
+      await authAPI.logoutAll();
+    } catch (error) {
+      console.error('Logout everywhere error:', error);
+    } finally {
+      setUser(null);
+      clearStoredSession();
     }
   };
 
@@ -124,7 +140,7 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, register, logout, loading, refreshUser }}>
+    <AuthContext.Provider value={{ user, login, register, logout, logoutEverywhere, loading, refreshUser }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,9 @@
+import { ResetPasswordForm } from '../components/ResetPasswordForm';
+
+export function ResetPasswordPage() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 p-4">
+      <ResetPasswordForm />
+    </div>
+  );
+}
@@ -0,0 +1,448 @@
+// Generated by backend/scripts/generate-ws-types.js from
+// backend/services/message.protocol.js. Do not edit by hand; run
+// `npm run ws:types` in backend/ after changing a message.
+
+export const PROTOCOL_VERSION = 1;
+export const PROTOCOL_VERSIONS = [1] as const;
+
+export const WS_ERROR_CODES = {
+  /** Unexpected server error */
+  ERROR: 'ERROR',
+  /** Text message looks like JSON but does not parse */
+  INVALID_JSON: 'INVALID_JSON',
+  /** Message is not an object with a string type */
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  /** No client message with this type */
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  /** Payload does not match the message schema */
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  /** Camera frame could not be decoded */
+  INVALID_FRAME: 'INVALID_FRAME',
+  /** Session does not exist (any more) */
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  /** Frame does not exist or is not accessible */
+  FRAME_NOT_FOUND: 'FRAME_NOT_FOUND',
+  /** Frame has not been processed yet */
+  FRAME_NOT_READY: 'FRAME_NOT_READY'
+} as const;
+
+export type WsErrorCode = keyof typeof WS_ERROR_CODES;
+
+export type BlinkEvent = {
+  timestamp?: number | string;
+  ear?: number;
+  /** 'good' or 'poor'; anything else is stored as unknown */
+  quality?: string;
+};
+
+export type BlinkStatsEntry = {
+  timestamp?: number | string;
+  totalBlinks: number;
+  blinksPerMin?: number | null;
+  avgBpm?: number | null;
+  earValue?: number | null;
+  rateStatus?: 'Low' | 'Normal' | 'High' | 'Unknown';
+};
+
+export type SensorSubscription = {
+  topic: 'session' | 'device' | 'aggregate';
+  /** Session ID (session, aggregate) or device ID */
+  id: string;
+};
+
+export type JobStage = 'processing' | 'inference' | 'analysis';
+
+export type ModelSummary = {
+  modelId: string;
+  version: string;
+  status: 'completed' | 'failed' | 'skipped';
+  label: string | null;
+  confidence: number | null;
+  sources?: Record<string, {
+    label: string | null;
+    confidence: number | null;
+  }>;
+};
+
+// ==================== CLIENT -> SERVER ====================
+
+/** Keep-alive; answered with pong. Replies: pong */
+export interface ClientPingMessage {
+  type: 'ping';
+  id?: string | number;
+}
+
+/** Blink history and frame count of the current session. Replies: stats */
+export interface ClientGetStatsMessage {
+  type: 'get_stats';
+  id?: string | number;
+}
+
+/** Re-analyze a stored frame (frameId) or an inclusive range of one session's frames; the result follows as blink_detection_result. Replies: blink_detection_queued */
+export interface ClientRequestBlinkDetectionMessage {
+  type: 'request_blink_detection';
+  id?: string | number;
+  data: {
+    frameId?: number;
+    fromFrameId?: number;
+    toFrameId?: number;
+    blink?: boolean;
+    model?: 'emotion' | 'redness';
+    modelId?: string;
+    /** Defaults to the message id */
+    requestId?: string;
+  };
+}
+
+/** Blinks detected in the browser. Replies: blink_ack */
+export interface ClientBlinkEventMessage {
+  type: 'blink_event';
+  id?: string | number;
+  data: BlinkEvent | BlinkEvent[];
+}
+
+/** Blink statistics computed in the browser. Replies: blink_ack */
+export interface ClientBlinkStatsMessage {
+  type: 'blink_stats';
+  id?: string | number;
+  data: BlinkStatsEntry | BlinkStatsEntry[];
+}
+
+/** Opt in/out of server-side blink detection for this connection's frames. Replies: blink_detection_mode */
+export interface ClientSetBlinkDetectionMessage {
+  type: 'set_blink_detection';
+  id?: string | number;
+  data: {
+    enabled: boolean;
+  };
+}
+
+/** Minimum gap between frames sent to inference for this connection. Replies: inference_cadence */
+export interface ClientSetInferenceCadenceMessage {
+  type: 'set_inference_cadence';
+  id?: string | number;
+  data?: {
+    intervalMs?: number | null;
+  } | null;
+}
+
+/** Receive sensor readings of a session or device, or the rolling averages of a session. Replies: subscribed */
+export interface ClientSubscribeMessage {
+  type: 'subscribe';
+  id?: string | number;
+  data: SensorSubscription;
+}
+
+/** Stop a sensor subscription. Replies: unsubscribed */
+export interface ClientUnsubscribeMessage {
+  type: 'unsubscribe';
+  id?: string | number;
+  data: SensorSubscription;
+}
+
+export type ClientMessage =
+  | ClientPingMessage
+  | ClientGetStatsMessage
+  | ClientRequestBlinkDetectionMessage
+  | ClientBlinkEventMessage
+  | ClientBlinkStatsMessage
+  | ClientSetBlinkDetectionMessage
+  | ClientSetInferenceCadenceMessage
+  | ClientSubscribeMessage
+  | ClientUnsubscribeMessage;
+
+export type ClientMessageType = ClientMessage['type'];
+
+// ==================== SERVER -> CLIENT ====================
+
+/** First message on every connection */
+export interface ServerConnectionMessage {
+  type: 'connection';
+  replyTo?: string | number;
+  sessionId: string;
+  userId: number | null;
+  resumed: boolean;
+  resumeToken: string;
+  resumeGracePeriod: number;
+  frameProtocol: 'binary-v1' | 'data-url';
+  frameProtocols: ('binary-v1' | 'data-url')[];
+  protocolVersion: number;
+  protocolVersions: number[];
+  message: string;
+}
+
+/** A message could not be handled */
+export interface ServerErrorMessage {
+  type: 'error';
+  replyTo?: string | number;
+  code: 'ERROR' | 'INVALID_JSON' | 'INVALID_MESSAGE' | 'UNKNOWN_MESSAGE_TYPE' | 'VALIDATION_ERROR' | 'INVALID_FRAME' | 'SESSION_NOT_FOUND' | 'FRAME_NOT_FOUND' | 'FRAME_NOT_READY';
+  message: string;
+  details?: {
+    path: string;
+    message: string;
+  }[];
+}
+
+/** Reply to ping */
+export interface ServerPongMessage {
+  type: 'pong';
+  replyTo?: string | number;
+  timestamp: number;
+}
+
+/** Reply to get_stats */
+export interface ServerStatsMessage {
+  type: 'stats';
+  replyTo?: string | number;
+  data: unknown;
+}
+
+/** Reply to a plain text message */
+export interface ServerEchoMessage {
+  type: 'echo';
+  replyTo?: string | number;
+  message: string;
+  length: number;
+}
+
+/** A camera frame was stored and queued */
+export interface ServerFrameReceivedMessage {
+  type: 'frame_received';
+  replyTo?: string | number;
+  frameId: number;
+  sequence: number | null;
+  sessionId: string;
+  filename: string;
+  size: number;
+  queuedForProcessing: boolean;
+  queuedForBlinkDetection: boolean;
+}
+
+/** Ingest rate limit changed or frames are being dropped */
+export interface ServerThrottleMessage {
+  type: 'throttle';
+  replyTo?: string | number;
+  throttled: boolean;
+  reason: string | null;
+  maxFps: number | null;
+  retryAfterMs: number;
+  droppedFrames: number;
+}
+
+/** Place in line of a queued job (1 = next up) */
+export interface ServerQueuePositionMessage {
+  type: 'queue_position';
+  replyTo?: string | number;
+  frameId: number | null;
+  stage: JobStage;
+  jobId: string;
+  /** Analysis jobs only */
+  requestId?: string;
+  timestamp: number;
+  position: number;
+  waiting: number;
+}
+
+/** A frame or analysis job started, progressed or completed */
+export interface ServerInferenceProgressMessage {
+  type: 'inference_progress';
+  replyTo?: string | number;
+  frameId: number | null;
+  stage: JobStage;
+  jobId: string;
+  /** Analysis jobs only */
+  requestId?: string;
+  timestamp: number;
+  state: 'active' | 'progress' | 'completed';
+  progress: number;
+  /** Why the frame was not inferred */
+  skipped?: string;
+}
+
+/** A frame or analysis job ran out of retries */
+export interface ServerInferenceFailedMessage {
+  type: 'inference_failed';
+  replyTo?: string | number;
+  frameId: number | null;
+  stage: JobStage;
+  jobId: string;
+  /** Analysis jobs only */
+  requestId?: string;
+  timestamp: number;
+  error: string;
+}
+
+/** Model results of an uploaded frame */
+export interface ServerInferenceCompleteMessage {
+  type: 'inference_complete';
+  replyTo?: string | number;
+  frameId: number;
+  models: Record<string, ModelSummary>;
+  emotionLabel: string;
+  emotionConf: number | null;
+  rednessLabel: string;
+  rednessConf: number | null;
+  processingTime: number;
+}
+
+/** Reply to blink_event and blink_stats */
+export interface ServerBlinkAckMessage {
+  type: 'blink_ack';
+  replyTo?: string | number;
+  saved: number;
+  newBlinks: number;
+  totalBlinks: number;
+}
+
+/** Latest blink statistics of the session (server-side detection or client reports) */
+export interface ServerBlinkUpdateMessage {
+  type: 'blink_update';
+  replyTo?: string | number;
+  totalBlinks: number;
+  blinksPerMin?: number | null;
+  avgBpm?: number | null;
+  rateStatus?: 'Low' | 'Normal' | 'High' | 'Unknown';
+  earValue?: number | null;
+  calibrated?: boolean;
+  frameId?: number;
+  blinkDetected?: boolean;
+  source?: 'server' | 'client';
+  timestamp?: number;
+}
+
+/** Reply to set_blink_detection */
+export interface ServerBlinkDetectionModeMessage {
+  type: 'blink_detection_mode';
+  replyTo?: string | number;
+  serverBlinkDetection: boolean;
+}
+
+/** Reply to set_inference_cadence */
+export interface ServerInferenceCadenceMessage {
+  type: 'inference_cadence';
+  replyTo?: string | number;
+  intervalMs: number;
+}
+
+/** Reply to request_blink_detection */
+export interface ServerBlinkDetectionQueuedMessage {
+  type: 'blink_detection_queued';
+  replyTo?: string | number;
+  requestId: string | null;
+  jobId: string;
+  frameId: number;
+  frameCount: number;
+  blink: boolean;
+  model: string | null;
+  modelId: string | null;
+}
+
+/** Result of request_blink_detection */
+export interface ServerBlinkDetectionResultMessage {
+  type: 'blink_detection_result';
+  replyTo?: string | number;
+  requestId: string | null;
+  jobId: string;
+  model: string | null;
+  modelId: string | null;
+  frameCount: number;
+  blink?: {
+    baseline: number | null;
+    threshold: number | null;
+    calibrated: boolean;
+    blinkCount: number;
+    blinks: {
+      frameId: number;
+      timestamp: number;
+    }[];
+  };
+  frames: {
+    frameId: number;
+    timestamp: string;
+    ear?: number | null;
+    eyeState?: 'open' | 'closed' | null;
+    blink?: boolean;
+    inference?: ModelSummary;
+  }[];
+  processingTime: number;
+}
+
+/** Reply to subscribe, with all subscriptions of the connection */
+export interface ServerSubscribedMessage {
+  type: 'subscribed';
+  replyTo?: string | number;
+  topic: 'session' | 'device' | 'aggregate';
+  id: string;
+  subscriptions: SensorSubscription[];
+}
+
+/** Reply to unsubscribe, with the remaining subscriptions of the connection */
+export interface ServerUnsubscribedMessage {
+  type: 'unsubscribed';
+  replyTo?: string | number;
+  topic: 'session' | 'device' | 'aggregate';
+  id: string;
+  subscriptions: SensorSubscription[];
+}
+
+/** New sensor reading of a subscribed session or device */
+export interface ServerSensorUpdateMessage {
+  type: 'sensor_update';
+  replyTo?: string | number;
+  id: number;
+  sessionId: string | null;
+  deviceId: string | null;
+  temp: number | null;
+  hum: number | null;
+  ldr: number | null;
+  timestamp: string;
+}
+
+/** Rolling averages of a subscribed session's sensor readings */
+export interface ServerSensorAggregateMessage {
+  type: 'sensor_aggregate';
+  replyTo?: string | number;
+  sessionId: string;
+  avgTemp: number;
+  avgHum: number;
+  avgLdr: number;
+  count: number;
+  /** Seconds */
+  timeWindow: number;
+  timestamp: number;
+}
+
+/** The server is going away; reconnect and resume the session */
+export interface ServerServerShutdownMessage {
+  type: 'server_shutdown';
+  replyTo?: string | number;
+  message: string;
+}
+
+export type ServerMessage =
+  | ServerConnectionMessage
+  | ServerErrorMessage
+  | ServerPongMessage
+  | ServerStatsMessage
+  | ServerEchoMessage
+  | ServerFrameReceivedMessage
+  | ServerThrottleMessage
+  | ServerQueuePositionMessage
+  | ServerInferenceProgressMessage
+  | ServerInferenceFailedMessage
+  | ServerInferenceCompleteMessage
+  | ServerBlinkAckMessage
+  | ServerBlinkUpdateMessage
+  | ServerBlinkDetectionModeMessage
+  | ServerInferenceCadenceMessage
+  | ServerBlinkDetectionQueuedMessage
+  | ServerBlinkDetectionResultMessage
+  | ServerSubscribedMessage
+  | ServerUnsubscribedMessage
+  | ServerSensorUpdateMessage
+  | ServerSensorAggregateMessage
+  | ServerServerShutdownMessage;
+
+export type ServerMessageType = ServerMessage['type'];
+
+export type ServerMessageOf<T extends ServerMessageType> = Extract<ServerMessage, { type: T }>;